@@ -0,0 +1,173 @@
+-- ============================================================
+-- bball-api — Supabase / Postgres schema for /api/sync
+-- Idempotent: safe to re-run on an existing project; columns
+-- added by later features use "add column if not exists".
+--
+-- Apply with the Supabase SQL editor, or:
+--   psql "$DATABASE_URL" -f db/schema.sql
+-- The file storage backend (SYNC_STORAGE=file) needs none of
+-- this; it keys rows the same way (lib/storage.js → TABLE_KEYS).
+-- ============================================================
+
+-- ------------------------------------------------------------
+-- live_games — one row per game (lib/transform.js transformGame)
+-- ------------------------------------------------------------
+create table if not exists live_games (
+  season_code     text not null,
+  game_code       integer not null,
+  competition     text,
+  identifier      text,
+  round           integer,
+  round_alias     text,
+  game_status     text,
+  played          boolean default false,
+  game_date       timestamptz,
+  local_code      text,
+  local_name      text,
+  local_full_name text,
+  local_tv_code   text,
+  local_logo      text,
+  local_score     integer default 0,
+  local_q1        integer,
+  local_q2        integer,
+  local_q3        integer,
+  local_q4        integer,
+  local_ot        jsonb default '{}',
+  road_code       text,
+  road_name       text,
+  road_full_name  text,
+  road_tv_code    text,
+  road_logo       text,
+  road_score      integer default 0,
+  road_q1         integer,
+  road_q2         integer,
+  road_q3         integer,
+  road_q4         integer,
+  road_ot         jsonb default '{}',
+  venue_name      text,
+  audience        integer,
+  raw_data        jsonb,
+  synced_at       timestamptz default now(),
+  primary key (season_code, game_code)
+);
+
+-- ------------------------------------------------------------
+-- player_stats — one row per player per game
+-- (transformPlayerStats + lib/advanced.js columns)
+-- ------------------------------------------------------------
+create table if not exists player_stats (
+  season_code            text not null,
+  game_code              integer not null,
+  person_code            text not null,
+  competition            text,
+  round                  integer,
+  game_date              timestamptz,
+  team_code              text,
+  team_name              text,
+  team_tv_code           text,
+  is_local               boolean,
+  player_name            text,
+  player_alias           text,
+  dorsal                 text,
+  position               text,
+  is_starter             boolean,
+  minutes                text,
+  minutes_decimal        numeric,
+  points                 integer,
+  field_goals_made       integer,
+  field_goals_attempted  integer,
+  two_points_made        integer,
+  two_points_attempted   integer,
+  three_points_made      integer,
+  three_points_attempted integer,
+  free_throws_made       integer,
+  free_throws_attempted  integer,
+  offensive_rebounds     integer,
+  defensive_rebounds     integer,
+  total_rebounds         integer,
+  assists                integer,
+  turnovers              integer,
+  steals                 integer,
+  blocks_favour          integer,
+  blocks_against         integer,
+  fouls_committed        integer,
+  fouls_received         integer,
+  pir                    integer,
+  plus_minus             integer,
+  raw_data               jsonb,
+  synced_at              timestamptz default now(),
+  primary key (season_code, game_code, person_code)
+);
+
+alter table player_stats
+  add column if not exists efg_pct numeric,
+  add column if not exists ts_pct numeric,
+  add column if not exists usage_rate numeric,
+  add column if not exists ast_to_ratio numeric,
+  add column if not exists oreb_pct numeric,
+  add column if not exists dreb_pct numeric,
+  add column if not exists reb_pct numeric,
+  add column if not exists offensive_rating numeric;
+
+-- Data-quality anomalies (lib/validate.js); null when clean
+alter table live_games
+  add column if not exists anomalies jsonb,
+  add column if not exists boxscore_anomalies jsonb;
+
+alter table player_stats
+  add column if not exists anomalies jsonb;
+
+-- ------------------------------------------------------------
+-- play_by_play — one row per event (transformPlays)
+-- ------------------------------------------------------------
+create table if not exists play_by_play (
+  season_code     text not null,
+  game_code       integer not null,
+  play_number     integer not null,
+  competition     text,
+  period          integer,
+  clock           text,
+  elapsed_seconds integer,
+  team_code       text,
+  person_code     text,
+  player_name     text,
+  play_type       text,
+  play_info       text,
+  local_score     integer,
+  road_score      integer,
+  synced_at       timestamptz default now(),
+  primary key (season_code, game_code, play_number)
+);
+
+-- ------------------------------------------------------------
+-- sync_state — one row per season (lib/sync.js)
+-- ------------------------------------------------------------
+create table if not exists sync_state (
+  season_code     text primary key,
+  competition     text,
+  game_hashes     jsonb not null default '{}',
+  final_boxscores jsonb not null default '{}',
+  pbp_cursor      jsonb not null default '{}',
+  cursor          jsonb not null default '{}',
+  updated_at      timestamptz default now()
+);
+
+-- ------------------------------------------------------------
+-- Realtime: the monitor subscribes to games, box scores and
+-- the live event feed
+-- ------------------------------------------------------------
+do $$
+declare t text;
+begin
+  if not exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    return; -- plain Postgres, no Realtime
+  end if;
+  foreach t in array array['live_games', 'player_stats', 'play_by_play'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and tablename = t
+    ) then
+      execute format('alter publication supabase_realtime add table %I', t);
+    end if;
+  end loop;
+end $$;
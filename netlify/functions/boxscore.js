@@ -1,24 +1,86 @@
 // /api/boxscore — Game Box Score
 // Usage: /api/boxscore?season=2025&code=E&gameNumber=1
 //        /api/boxscore?code=J&seasonCode=JA25&gameNumber=1
-import { handleCors, jsonResponse, errorResponse, euroFetch, cache, getParams, getSeasonCode } from "./utils.js";
-const CACHE_TTL = 60;
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+//        /api/boxscore?code=E&gameNumber=1&advanced=true   ← flattened rows + eFG%, TS%, USG%, ratings, four factors
+//        /api/boxscore?code=E&gameNumber=1&format=csv      ← one row per player (player_stats shape, + advanced=true metrics)
+//        /api/boxscore?code=J&seasonCode=JA25&gameNumber=1&shape=normalized   ← lib/normalize.js schema
+// Both modes run the data-quality checks from lib/validate.js (anomalies / _anomalies).
+import { jsonResponse, upstreamErrorResponse, euroFetch, cache, cacheOptions, getSeasonCode } from "./utils.js";
+import { fetchGame, fetchGameStats, gameState } from "./lib/upstream.js";
+import { extractPlayers, transformGame } from "./lib/transform.js";
+import { normalizeBoxscore, normalizedMeta } from "./lib/normalize.js";
+import { computeAdvanced } from "./lib/advanced.js";
+import { validateBoxscore, validateGame } from "./lib/validate.js";
+import { tabularResponse } from "./lib/format.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { paramErrorResponse, getRoute, withRoute } from "./lib/routes.js";
+const ROUTE = getRoute("/api/boxscore");
+
+// Player rows + every anomaly (game, team, player) for one game,
+// and the game's state (null without the header) for Cache-Control
+async function checkedRows(code, seasonCode, gameNumber, options) {
+  const [stats, game] = await Promise.all([
+    fetchGameStats(code, seasonCode, gameNumber, options),
+    // Without the header only the per-player checks can run
+    fetchGame(code, seasonCode, gameNumber, options).catch(() => null),
+  ]);
+  const rows = extractPlayers(stats, gameNumber, seasonCode, code, null, null);
+  const { anomalies, players } = validateBoxscore(rows, game);
+  return {
+    rows: players.map(({ raw_data, synced_at, ...row }) => row),
+    anomalies: [...validateGame(game), ...anomalies, ...players.flatMap(p => p.anomalies || [])],
+    gameState: game ? gameState(game) : null,
+  };
+}
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E", gameNumber } = params;
-    if (!gameNumber) return errorResponse("Missing required param: gameNumber", 400);
+    const { code, gameNumber, advanced, format, shape } = params;
     const seasonCode = getSeasonCode(params);
+    const options = cacheOptions(params, context);
+    const http = (state) => cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, state });
+    if (shape === "normalized") {
+      if (advanced) return paramErrorResponse([{ param: "shape", message: "shape=normalized can't be combined with advanced=true", value: shape }]);
+      const { data, status } = await cache.wrap(`boxscore-normalized:${seasonCode}:${gameNumber}`, ROUTE.cacheTtl, async () => {
+        const [{ rows, anomalies, gameState }, game] = await Promise.all([
+          checkedRows(code, seasonCode, gameNumber, options),
+          fetchGame(code, seasonCode, gameNumber, options).catch(() => null),
+        ]);
+        const gameRow = game ? transformGame({ gameCode: gameNumber, ...game }, seasonCode, code) : null;
+        return { ...normalizeBoxscore(rows, gameRow), anomalies, _meta: normalizedMeta({ source: "bball-api", cachedAt: new Date().toISOString(), gameState, params: { code, seasonCode, gameNumber } }) };
+      }, options);
+      const headers = { "X-Cache": status, ...http(data._meta.gameState) };
+      if (format !== "json") return tabularResponse(data.players, format, { filename: `boxscore-${seasonCode}-${gameNumber}-normalized`, headers });
+      return jsonResponse(data, 200, headers);
+    }
+    if (format !== "json") {
+      // Anomalies become their check names so each player stays one flat row
+      const { data, status } = await cache.wrap(`boxscore-rows:${seasonCode}:${gameNumber}`, ROUTE.cacheTtl, () => checkedRows(code, seasonCode, gameNumber, options), options);
+      const rows = (advanced ? computeAdvanced(data.rows).players : data.rows)
+        .map(r => ({ ...r, anomalies: r.anomalies ? r.anomalies.map(a => a.check) : null }));
+      return tabularResponse(rows, format, { filename: `boxscore-${seasonCode}-${gameNumber}${advanced ? "-advanced" : ""}`, headers: { "X-Cache": status, ...http(data.gameState) } });
+    }
+    if (advanced) {
+      // Same rows + formulas as /api/sync stores in player_stats
+      const { data, status } = await cache.wrap(`boxscore-advanced:${seasonCode}:${gameNumber}`, ROUTE.cacheTtl, async () => {
+        const { rows, anomalies, gameState } = await checkedRows(code, seasonCode, gameNumber, options);
+        return { ...computeAdvanced(rows), anomalies, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), gameState, params: { code, seasonCode, gameNumber, advanced } } };
+      }, options);
+      return jsonResponse(data, 200, { "X-Cache": status, ...http(data._meta.gameState) });
+    }
     const cacheKey = `boxscore:${seasonCode}:${gameNumber}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-    const data = await euroFetch(`/competitions/${code.toUpperCase()}/seasons/${seasonCode}/games/${gameNumber}/boxscore`);
-    const enriched = { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode, gameNumber } } };
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { data: enriched, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const [data, checked] = await Promise.all([
+        euroFetch(`/competitions/${code}/seasons/${seasonCode}/games/${gameNumber}/boxscore`),
+        // The checks read the /stats feed; if that fails the box score is still served
+        checkedRows(code, seasonCode, gameNumber, options).catch(err => ({ error: err.message })),
+      ]);
+      const validation = checked.error
+        ? { _anomalies: null, _warnings: [`Validation skipped: ${checked.error}`] }
+        : { _anomalies: checked.anomalies };
+      return { ...data, ...validation, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), gameState: checked.gameState ?? null, params: { code, seasonCode, gameNumber } } };
+    }, options);
+    return jsonResponse(enriched, 200, { "X-Cache": status, ...http(enriched._meta.gameState) });
   } catch (err) {
-    return errorResponse(`Failed to fetch boxscore: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch boxscore");
   }
-};
+});
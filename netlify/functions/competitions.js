@@ -0,0 +1,55 @@
+// ============================================================
+// /api/competitions — Competitions available upstream
+// ============================================================
+// Usage:
+//   /api/competitions
+//
+// Every competition upstream lists; the ones this API serves
+// (E, U, J — lib/competitions.js) carry their season count and
+// current season. Cached for a day.
+// ============================================================
+
+import { jsonResponse, upstreamErrorResponse, cache, cacheOptions } from "./utils.js";
+import { fetchCompetitions } from "./lib/upstream.js";
+import { COMPETITIONS, listSeasons, currentOf } from "./lib/competitions.js";
+import { pick } from "./lib/pbp.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/competitions");
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  try {
+    const options = cacheOptions(params, context);
+    const { data, status } = await cache.wrap("competitions", ROUTE.cacheTtl, async () => {
+      const upstream = await fetchCompetitions(options);
+      const byCode = new Map(upstream.map(c => [String(pick(c, "code") || "").trim().toUpperCase(), c]));
+      const codes = [...new Set([...Object.keys(COMPETITIONS), ...byCode.keys()])].filter(Boolean);
+
+      const competitions = await Promise.all(codes.map(async code => {
+        const ours = COMPETITIONS[code];
+        const entry = {
+          code,
+          name: ours?.name ?? pick(byCode.get(code), "name"),
+          upstreamName: pick(byCode.get(code), "name"),
+          kind: ours?.kind ?? null,
+          supported: Boolean(ours),
+          listedUpstream: byCode.has(code),
+        };
+        if (!ours) return entry;
+        const seasons = await listSeasons(code, options);
+        return {
+          ...entry,
+          currentSeason: currentOf(seasons),
+          seasons: seasons.length,
+          firstSeason: seasons[seasons.length - 1]?.seasonCode ?? null,
+          latestSeason: seasons[0]?.seasonCode ?? null,
+        };
+      }));
+      return { data: competitions, _meta: { source: "bball-api", cachedAt: new Date().toISOString() } };
+    }, options);
+    return jsonResponse(data, 200, { "X-Cache": status, ...cacheHeaders({ ttl: ROUTE.cacheTtl }) });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to fetch competitions");
+  }
+});
@@ -4,38 +4,41 @@
 // Usage:
 //   /api/game?season=2025&code=E&gameNumber=1
 //   /api/game?code=J&seasonCode=JA25&gameNumber=1    ← NextGen
+//   /api/game?code=E&gameNumber=1&shape=normalized   ← lib/normalize.js schema
 // ============================================================
 
 import {
-  handleCors, jsonResponse, errorResponse,
-  euroFetch, cache, getParams, getSeasonCode,
+  jsonResponse, upstreamErrorResponse, euroFetch, cache, cacheOptions, getSeasonCode,
 } from "./utils.js";
+import { gameState } from "./lib/upstream.js";
+import { normalizeGame, normalizedMeta } from "./lib/normalize.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
 
-const CACHE_TTL = 60;
-
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+const ROUTE = getRoute("/api/game");
 
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E", gameNumber } = params;
-
-    if (!gameNumber) return errorResponse("Missing required param: gameNumber", 400);
-
+    const { code, gameNumber, shape } = params;
     const seasonCode = getSeasonCode(params);
     const cacheKey = `game:${seasonCode}:${gameNumber}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-
-    const data = await euroFetch(
-      `/competitions/${code.toUpperCase()}/seasons/${seasonCode}/games/${gameNumber}`
-    );
-
-    const enriched = { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode, gameNumber } } };
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { data, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const data = await euroFetch(
+        `/competitions/${code}/seasons/${seasonCode}/games/${gameNumber}`
+      );
+      return { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode, gameNumber } } };
+    }, cacheOptions(params, context));
+
+    const headers = {
+      "X-Cache": status,
+      ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, state: gameState(data) }),
+    };
+    if (shape === "normalized") {
+      const { _meta, ...game } = data;
+      return jsonResponse({ ...normalizeGame({ gameCode: gameNumber, ...game }, seasonCode, code), _meta: normalizedMeta(_meta) }, 200, headers);
+    }
+    return jsonResponse(data, 200, headers);
   } catch (err) {
-    return errorResponse(`Failed to fetch game data: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch game data");
   }
-};
+});
@@ -3,53 +3,99 @@
 // ============================================================
 // Usage:
 //   /api/games?season=2025&code=E
+//   /api/games?season=2025&code=E&format=csv   ← one row per game (live_games shape)
+//   /api/games?code=E&teamCode=MAD&played=false&limit=3&fields=gameCode,utcDate,local.club.code,road.club.code
+//   /api/games?code=E&teamCode=MAD&side=road&status=Played&order=desc
+//   /api/games?code=E&roundFrom=10&roundTo=12
+//   /api/games?code=E&dateFrom=2025-10-01&dateTo=2025-10-07
+//   /api/games?code=J&seasonCode=JA25&shape=normalized   ← lib/normalize.js schema
+//
+// Filters, fields, order and paging follow lib/list.js; games
+// sort by date, then game code. Filtering runs on the cached
+// season payload, so every combination shares one upstream call.
 //
 // This is the endpoint Marc confirmed works:
 //   https://api-live.euroleague.net/v2/competitions/E/seasons/E2025/games
 // ============================================================
 
 import {
-  handleCors,
   jsonResponse,
-  errorResponse,
+  upstreamErrorResponse,
   euroFetch,
   cache,
-  getParams,
+  cacheOptions,
   getSeasonCode,
 } from "./utils.js";
+import { transformGame } from "./lib/transform.js";
+import { normalizeGame, normalizedMeta } from "./lib/normalize.js";
+import { tabularResponse } from "./lib/format.js";
+import { listOf, withList, sortBy, paginate, project, inRange, dayOf } from "./lib/list.js";
+import { isFinal, gameState } from "./lib/upstream.js";
+import { cleanCode } from "./lib/pbp.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { paramErrorResponse, getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/games");
 
-const CACHE_TTL = 300;
+const gameKey = (g) => [g.utcDate || g.date || null, g.gameCode];
 
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+function matchesGame(g, params) {
+  const { teamCode, side, round, roundFrom, roundTo, dateFrom, dateTo, status, played } = params;
+  if (teamCode) {
+    const home = cleanCode(g.local?.club?.code) === teamCode;
+    const road = cleanCode(g.road?.club?.code) === teamCode;
+    if (side === "home" ? !home : side === "road" ? !road : !home && !road) return false;
+  }
+  const gameRound = g.round === null || g.round === undefined ? null : Number(g.round);
+  if (round !== undefined && gameRound !== round) return false;
+  if (!inRange(gameRound, roundFrom, roundTo)) return false;
+  if (!inRange(dayOf(g.utcDate || g.date), dateFrom, dateTo)) return false;
+  if (status?.length && !status.includes(gameState(g))) return false;
+  if (played !== undefined && isFinal(g) !== played) return false;
+  return true;
+}
 
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E" } = params;
+    const { code, format, fields, shape } = params;
     const seasonCode = getSeasonCode(params);
     const cacheKey = `games:${seasonCode}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      return jsonResponse(cached, 200, { "X-Cache": "HIT" });
+    const { data, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const data = await euroFetch(
+        `/competitions/${code}/seasons/${seasonCode}/games`
+      );
+
+      return {
+        ...data,
+        _meta: {
+          source: "bball-api",
+          cachedAt: new Date().toISOString(),
+          params: { code, seasonCode },
+        },
+      };
+    }, cacheOptions(params, context));
+
+    const http = cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode });
+    const sorted = sortBy(listOf(data).filter(g => matchesGame(g, params)), gameKey, params.order);
+    const page = paginate(sorted, gameKey, params);
+    if (page.error) return paramErrorResponse([page.error]);
+
+    if (format !== "json") {
+      const rows = page.items.map(g => {
+        if (shape === "normalized") return project(normalizeGame(g, seasonCode, code), fields);
+        const { raw_data, synced_at, ...row } = transformGame(g, seasonCode, code);
+        return project(row, fields);
+      });
+      return tabularResponse(rows, format, { filename: `games-${seasonCode}`, headers: { "X-Cache": status, ...http } });
     }
 
-    const data = await euroFetch(
-      `/competitions/${code.toUpperCase()}/seasons/${seasonCode}/games`
-    );
-
-    const enriched = {
-      ...data,
-      _meta: {
-        source: "bball-api",
-        cachedAt: new Date().toISOString(),
-        params: { code, seasonCode },
-      },
-    };
-
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { _meta, ...payload } = data;
+    if (shape === "normalized") {
+      const games = { ...page, items: page.items.map(g => normalizeGame(g, seasonCode, code)) };
+      return jsonResponse({ ...withList([], games, fields), _meta: normalizedMeta(_meta) }, 200, { "X-Cache": status, ...http });
+    }
+    return jsonResponse({ ...withList(payload, page, fields), _meta }, 200, { "X-Cache": status, ...http });
   } catch (err) {
-    return errorResponse(`Failed to fetch games: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch games");
   }
-};
+});
@@ -0,0 +1,104 @@
+// ============================================================
+// /api/leaders — Season Leaderboards
+// ============================================================
+// Usage:
+//   /api/leaders?seasonCode=E2025&stat=points
+//   /api/leaders?code=E&season=2025&stat=assists&per=40min&minGames=5
+//   /api/leaders?seasonCode=E2025&stat=three_pct&teamCode=MAD&location=road
+//   /api/leaders?seasonCode=E2025&stat=rebounds&position=center&roundFrom=10&roundTo=20
+//
+// Params:
+//   stat        — points, rebounds, assists, steals, blocks, pir, … or
+//                 fg_pct, two_pct, three_pct, ft_pct, efg_pct, ts_pct
+//   per         — game (default) | total | 40min
+//   minGames    — minimum appearances (default 1)
+//   minMinutes  — minimum minutes per game (default 0, 10 for per=40min)
+//   minAttempts — total attempts to qualify for % stats
+//                 (default: per-stat attempts per game × games)
+//   teamCode, position, roundFrom, roundTo, location=home|road
+//   source      — auto (default) | supabase | upstream
+//   limit       — rows returned (default 25, max 200)
+//   format      — json (default) | csv | tsv | ndjson (one row per leader)
+// ============================================================
+
+import {
+  jsonResponse, upstreamErrorResponse, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import { cachedSeasonPlayerRows, resolveSource } from "./lib/season-stats.js";
+import { STATS, filterRows, aggregatePlayers, rankLeaders } from "./lib/leaders.js";
+import { tabularResponse } from "./lib/format.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/leaders");
+const BUDGET_MS = 8000;
+const MAX_LIMIT = 200;
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
+
+  try {
+    const { code, stat, per, position, location, format } = params;
+
+    const seasonCode = getSeasonCode(params);
+    const source = resolveSource(params.source);
+    const filters = {
+      teamCode: params.teamCode || null,
+      position: position || null,
+      roundFrom: params.roundFrom ?? null,
+      roundTo: params.roundTo ?? null,
+      location: location || null,
+    };
+    const ranking = {
+      stat,
+      per,
+      minGames: params.minGames,
+      minMinutes: params.minMinutes ?? (per === "40min" ? 10 : 0),
+      minAttempts: params.minAttempts ?? null,
+      limit: Math.min(params.limit, MAX_LIMIT),
+    };
+
+    // Season rows are cached apart from the ranking, so every
+    // stat / filter combination reuses one load
+    const loaded = await cachedSeasonPlayerRows(code, seasonCode, {
+      source, teamCode: filters.teamCode, deadline, options: cacheOptions(params, context),
+    });
+
+    const players = aggregatePlayers(filterRows(loaded.rows, filters));
+    const leaders = rankLeaders(players, ranking);
+
+    if (format !== "json") {
+      return tabularResponse(leaders, format, {
+        filename: `leaders-${seasonCode}-${stat}`,
+        headers: {
+          "X-Cache": loaded.cacheStatus,
+          "X-Complete": String(loaded.complete),
+          ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, complete: loaded.complete }),
+        },
+      });
+    }
+
+    return jsonResponse({
+      seasonCode,
+      stat,
+      per: STATS[stat].pct ? "percentage" : per,
+      complete: loaded.complete,
+      qualified: leaders.length,
+      playersConsidered: players.length,
+      leaders,
+      pendingGames: loaded.pending?.length ? loaded.pending : undefined,
+      errors: loaded.errors?.length ? loaded.errors.slice(0, 5) : undefined,
+      _meta: {
+        source: "bball-api",
+        dataSource: source,
+        generatedAt: new Date().toISOString(),
+        params: { code, seasonCode, ...filters, ...ranking },
+      },
+    }, 200, {
+      "X-Cache": loaded.cacheStatus,
+      ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, complete: loaded.complete }),
+    });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to build leaderboard");
+  }
+});
@@ -0,0 +1,133 @@
+// ============================================================
+// ADVANCED BOX SCORE METRICS
+// Works on player_stats rows (transformPlayerStats shape), so
+// /api/boxscore?advanced=true and /api/sync compute the exact
+// same numbers from the exact same inputs.
+//
+// Percentages are 0–100 with one decimal; ratios two decimals.
+// Possessions use the standard estimate
+//   FGA + 0.44·FTA − ORB + TOV
+// averaged over both teams so each side plays the same number.
+// ============================================================
+
+const FT_WEIGHT = 0.44;
+
+const round = (n, digits) => {
+  if (n === null || !Number.isFinite(n)) return null;
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+};
+const pct = (num, den) => (den > 0 ? round((num / den) * 100, 1) : null);
+const ratio = (num, den) => (den > 0 ? round(num / den, 2) : null);
+
+const COUNTING = [
+  "minutes_decimal", "points",
+  "field_goals_made", "field_goals_attempted",
+  "two_points_made", "two_points_attempted",
+  "three_points_made", "three_points_attempted",
+  "free_throws_made", "free_throws_attempted",
+  "offensive_rebounds", "defensive_rebounds", "total_rebounds",
+  "assists", "turnovers", "steals", "blocks_favour", "blocks_against",
+  "fouls_committed", "fouls_received", "pir",
+];
+
+// Sum counting stats over rows
+export function sumRows(rows) {
+  const totals = Object.fromEntries(COUNTING.map(k => [k, 0]));
+  for (const r of rows) for (const k of COUNTING) totals[k] += Number(r[k]) || 0;
+  return totals;
+}
+
+export function estimatePossessions(t) {
+  return t.field_goals_attempted + FT_WEIGHT * t.free_throws_attempted - t.offensive_rebounds + t.turnovers;
+}
+
+// Shooting + ball-handling metrics that need nothing but the row itself
+function shooting(r) {
+  return {
+    efg_pct: pct(r.field_goals_made + 0.5 * r.three_points_made, r.field_goals_attempted),
+    ts_pct: pct(r.points, 2 * (r.field_goals_attempted + FT_WEIGHT * r.free_throws_attempted)),
+    ast_to_ratio: ratio(r.assists, r.turnovers),
+  };
+}
+
+// The four factors for one team, given its opponent's totals
+export function fourFactors(team, opp) {
+  return {
+    efg_pct: pct(team.field_goals_made + 0.5 * team.three_points_made, team.field_goals_attempted),
+    tov_pct: pct(team.turnovers, team.field_goals_attempted + FT_WEIGHT * team.free_throws_attempted + team.turnovers),
+    oreb_pct: pct(team.offensive_rebounds, team.offensive_rebounds + opp.defensive_rebounds),
+    ft_rate: ratio(team.free_throws_made, team.field_goals_attempted),
+  };
+}
+
+// Team-level metrics for one side
+export function teamAdvanced(team, opp) {
+  const possessions = (estimatePossessions(team) + estimatePossessions(opp)) / 2;
+  const offensive_rating = possessions > 0 ? round((team.points / possessions) * 100, 1) : null;
+  const defensive_rating = possessions > 0 ? round((opp.points / possessions) * 100, 1) : null;
+  return {
+    ...shooting(team),
+    possessions: round(possessions, 1),
+    offensive_rating,
+    defensive_rating,
+    net_rating: offensive_rating !== null && defensive_rating !== null ? round(offensive_rating - defensive_rating, 1) : null,
+    four_factors: fourFactors(team, opp),
+  };
+}
+
+// Player metrics that depend on team and opponent totals
+function playerAdvanced(r, team, opp) {
+  const mp = Number(r.minutes_decimal) || 0;
+  const teamMin = team.minutes_decimal / 5;
+  const used = r.field_goals_attempted + FT_WEIGHT * r.free_throws_attempted + r.turnovers;
+  const teamUsed = team.field_goals_attempted + FT_WEIGHT * team.free_throws_attempted + team.turnovers;
+  const share = (value, pool) => (mp > 0 && pool > 0 ? round((100 * value * teamMin) / (mp * pool), 1) : null);
+
+  return {
+    ...shooting(r),
+    usage_rate: share(used, teamUsed),
+    oreb_pct: share(r.offensive_rebounds, team.offensive_rebounds + opp.defensive_rebounds),
+    dreb_pct: share(r.defensive_rebounds, team.defensive_rebounds + opp.offensive_rebounds),
+    reb_pct: share(r.total_rebounds, team.total_rebounds + opp.total_rebounds),
+    // Points produced per 100 possessions the player used (shots, FT trips, turnovers)
+    offensive_rating: used > 0 ? round((r.points / used) * 100, 1) : null,
+  };
+}
+
+// Column names added to player_stats rows
+export const ADVANCED_COLUMNS = [
+  "efg_pct", "ts_pct", "usage_rate", "ast_to_ratio",
+  "oreb_pct", "dreb_pct", "reb_pct", "offensive_rating",
+];
+
+// ------------------------------------------------------------
+// One game's rows → rows with advanced columns + team summaries
+// ------------------------------------------------------------
+export function computeAdvanced(rows) {
+  const sides = {
+    local: rows.filter(r => r.is_local),
+    road: rows.filter(r => !r.is_local),
+  };
+  const totals = { local: sumRows(sides.local), road: sumRows(sides.road) };
+
+  const players = rows.map(r => {
+    const side = r.is_local ? "local" : "road";
+    const opp = r.is_local ? "road" : "local";
+    return { ...r, ...playerAdvanced(r, totals[side], totals[opp]) };
+  });
+
+  const teams = {};
+  for (const side of ["local", "road"]) {
+    const opp = side === "local" ? "road" : "local";
+    const first = sides[side][0] || {};
+    teams[side] = {
+      team_code: first.team_code || null,
+      team_name: first.team_name || null,
+      totals: totals[side],
+      ...teamAdvanced(totals[side], totals[opp]),
+    };
+  }
+
+  return { players, teams };
+}
@@ -0,0 +1,257 @@
+// ============================================================
+// API KEYS — auth, scopes, rate limits, CORS, usage
+// Every HTTP function is wrapped with withAuth(handler, { scope }).
+//
+// Keys come from API_KEYS (JSON in the env var) and/or
+// API_KEYS_FILE (path to a JSON file), each a list of:
+//   {
+//     "id": "scouting-sheet",         shown in usage, never the key
+//     "key": "…" | "keyHash": "<sha256 hex>",
+//     "scopes": ["read"],             read | sync | admin (admin = all)
+//     "rateLimit": 120,               requests per window (default AUTH_RATE_LIMIT)
+//     "windowSeconds": 60,            (default AUTH_RATE_WINDOW)
+//     "origins": ["https://…"]        browser origins allowed; omit for any
+//   }
+// With no keys configured, read endpoints stay open as before, but
+// the sync and admin scopes answer 401 (they write with the service
+// key) unless AUTH_DISABLED=1 opts out, for local dev. With keys,
+// a request needs one (X-API-Key header,
+// "Authorization: Bearer …" or ?apiKey=) unless AUTH_ANONYMOUS
+// lists scopes open to everyone — anonymous callers are then rate
+// limited per IP with AUTH_ANONYMOUS_RATE_LIMIT.
+//
+// Counters live in the shared cache (cache.incr), so limits and
+// usage hold across containers when CACHE_BACKEND is shared.
+// ============================================================
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { cache, corsHeaders, errorResponse } from "../utils.js";
+
+export const SCOPES = ["read", "sync", "admin"];
+export const KEYED_SCOPES = ["sync", "admin"];  // never open just because no keys are configured
+
+const DEFAULT_RATE_LIMIT = parseInt(process.env.AUTH_RATE_LIMIT) || 60;
+const DEFAULT_WINDOW = parseInt(process.env.AUTH_RATE_WINDOW) || 60;
+const USAGE_RETENTION = 90 * 86400;
+
+const sha256 = (value) => createHash("sha256").update(value).digest("hex");
+
+// ------------------------------------------------------------
+// KEY CONFIG (read once per container)
+// ------------------------------------------------------------
+let _keys = null;
+
+function parseKeys(raw, source) {
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${source} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) list = list?.keys;
+  if (!Array.isArray(list)) throw new Error(`${source} must be a list of keys (or { "keys": [...] })`);
+
+  return list.map((k, i) => {
+    const id = k.id || `key-${i + 1}`;
+    if (!k.key && !k.keyHash) throw new Error(`${source}: key "${id}" needs "key" or "keyHash"`);
+    const scopes = k.scopes || ["read"];
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length) throw new Error(`${source}: key "${id}" has unknown scopes ${unknown.join(", ")}`);
+    return {
+      id,
+      hash: (k.keyHash || sha256(k.key)).toLowerCase(),
+      scopes,
+      rateLimit: k.rateLimit ?? DEFAULT_RATE_LIMIT,
+      windowSeconds: k.windowSeconds ?? DEFAULT_WINDOW,
+      origins: k.origins || null,
+    };
+  });
+}
+
+export function loadKeys() {
+  if (_keys) return _keys;
+  const keys = [];
+  if (process.env.API_KEYS) keys.push(...parseKeys(process.env.API_KEYS, "API_KEYS"));
+  if (process.env.API_KEYS_FILE) keys.push(...parseKeys(readFileSync(process.env.API_KEYS_FILE, "utf8"), process.env.API_KEYS_FILE));
+  _keys = keys;
+  return _keys;
+}
+
+export function authEnabled() {
+  return loadKeys().length > 0;
+}
+
+export function authDisabled() {
+  return ["1", "true"].includes(process.env.AUTH_DISABLED);
+}
+
+export function anonymousScopes() {
+  return (process.env.AUTH_ANONYMOUS || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function presentedKey(req) {
+  const header = req.headers.get("x-api-key");
+  if (header) return header.trim();
+  const bearer = req.headers.get("authorization")?.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  return new URL(req.url).searchParams.get("apiKey");
+}
+
+function findKey(value) {
+  const hash = Buffer.from(sha256(value), "hex");
+  return loadKeys().find(k => {
+    const candidate = Buffer.from(k.hash, "hex");
+    return candidate.length === hash.length && timingSafeEqual(candidate, hash);
+  }) || null;
+}
+
+export function hasScope(principal, scope) {
+  return principal.scopes.includes(scope) || principal.scopes.includes("admin");
+}
+
+// ------------------------------------------------------------
+// CORS — echo the Origin when the key (or, for preflights,
+// any key) allows it; "*" for keys without an allow-list
+// ------------------------------------------------------------
+function originAllowed(origins, origin) {
+  return !origins || !origin || origins.includes(origin) || origins.includes("*");
+}
+
+function corsFor(origins, origin) {
+  if (!origins || origins.includes("*")) return { ...corsHeaders };
+  return { ...corsHeaders, "Access-Control-Allow-Origin": origin || origins[0], "Vary": "Origin" };
+}
+
+function preflight(req) {
+  const origin = req.headers.get("origin");
+  const keys = loadKeys();
+  const open = anonymousScopes().length > 0 || keys.some(k => !k.origins || k.origins.includes("*"));
+  if (open) return new Response(null, { status: 204, headers: corsHeaders });
+  if (origin && keys.some(k => k.origins.includes(origin))) {
+    return new Response(null, { status: 204, headers: corsFor([origin], origin) });
+  }
+  return new Response(null, { status: 403 });
+}
+
+// New response with some headers replaced (handler responses may be immutable)
+function withHeaders(res, headers) {
+  const merged = new Headers(res.headers);
+  for (const [k, v] of Object.entries(headers)) merged.set(k, v);
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers: merged });
+}
+
+// ------------------------------------------------------------
+// RATE LIMIT — fixed window per principal
+// ------------------------------------------------------------
+async function rateLimit(principal) {
+  const now = Date.now();
+  const windowMs = principal.windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const count = await cache.incr(`ratelimit:${principal.id}:${windowStart}`, 1, principal.windowSeconds);
+  const reset = Math.ceil((windowStart + windowMs - now) / 1000);
+  return {
+    limited: count > principal.rateLimit,
+    headers: {
+      "X-RateLimit-Limit": String(principal.rateLimit),
+      "X-RateLimit-Remaining": String(Math.max(0, principal.rateLimit - count)),
+      "X-RateLimit-Reset": String(reset),
+    },
+    retryAfter: reset,
+  };
+}
+
+// ------------------------------------------------------------
+// USAGE — per key, per UTC day: requests, errors (4xx/5xx from
+// the handler) and rejected (401/403/429 from this middleware)
+// ------------------------------------------------------------
+const day = (ts = Date.now()) => new Date(ts).toISOString().slice(0, 10);
+
+export const USAGE_COUNTERS = ["requests", "errors", "rejected"];
+
+function recordUsage(principal, counter, context) {
+  const work = cache.incr(`usage:${principal.id}:${day()}:${counter}`, 1, USAGE_RETENTION).catch(() => {});
+  if (typeof context?.waitUntil === "function") context.waitUntil(work);
+  return work;
+}
+
+// Usage for one key id over the last `days` days, newest first
+export async function usageFor(id, days = 7) {
+  const out = [];
+  for (let i = 0; i < days; i++) {
+    const date = day(Date.now() - i * 86400000);
+    const row = { date };
+    for (const counter of USAGE_COUNTERS) row[counter] = await cache.count(`usage:${id}:${date}:${counter}`);
+    out.push(row);
+  }
+  return out;
+}
+
+// ------------------------------------------------------------
+// withAuth — wrap a function handler
+//   scope: "read" | "sync" | "admin", or "public" for endpoints
+//          that never need a key (still CORS-checked)
+// The handler finds the caller in context.principal ({ id,
+// scopes, … }); it is unset when auth is off.
+// ------------------------------------------------------------
+export function withAuth(handler, { scope = "read" } = {}) {
+  return async (req, context = {}) => {
+    if (!authEnabled()) {
+      if (!KEYED_SCOPES.includes(scope) || authDisabled() || req.method === "OPTIONS") return handler(req, context);
+      return withHeaders(errorResponse(`The "${scope}" scope needs an API key: configure API_KEYS or API_KEYS_FILE (AUTH_DISABLED=1 for local dev)`, 401), { "WWW-Authenticate": "Bearer" });
+    }
+    if (req.method === "OPTIONS") return preflight(req);
+
+    const origin = req.headers.get("origin");
+    const value = presentedKey(req);
+    let principal = null;
+
+    if (value) {
+      principal = findKey(value);
+      if (!principal) return withHeaders(errorResponse("Invalid API key", 401), corsFor(origin ? [origin] : null, origin));
+    } else if (scope === "public" || anonymousScopes().includes(scope)) {
+      principal = {
+        id: `anonymous:${context.ip || req.headers.get("x-nf-client-connection-ip") || "unknown"}`,
+        anonymous: true,
+        scopes: scope === "public" ? [] : anonymousScopes(),
+        rateLimit: parseInt(process.env.AUTH_ANONYMOUS_RATE_LIMIT) || 30,
+        windowSeconds: DEFAULT_WINDOW,
+        origins: null,
+      };
+    } else {
+      return withHeaders(errorResponse("API key required (X-API-Key header or apiKey param)", 401), { "WWW-Authenticate": "Bearer" });
+    }
+
+    // Anonymous callers are limited per IP but share one usage bucket
+    const account = principal.anonymous ? { id: "anonymous" } : principal;
+    context.principal = principal;
+
+    const cors = corsFor(principal.origins, origin);
+    if (!originAllowed(principal.origins, origin)) {
+      await recordUsage(account, "rejected", context);
+      return withHeaders(errorResponse(`Origin ${origin} is not allowed for this key`, 403), cors);
+    }
+    if (scope !== "public" && !hasScope(principal, scope)) {
+      await recordUsage(account, "rejected", context);
+      return withHeaders(errorResponse(`This key lacks the "${scope}" scope`, 403), cors);
+    }
+
+    // Public endpoints (health) are never rate limited or counted
+    if (scope === "public") return withHeaders(await handler(req, context), cors);
+
+    const limit = await rateLimit(principal);
+    if (limit.limited) {
+      await recordUsage(account, "rejected", context);
+      return withHeaders(errorResponse(`Rate limit exceeded: ${principal.rateLimit} requests per ${principal.windowSeconds}s`, 429), {
+        ...cors,
+        ...limit.headers,
+        "Retry-After": String(limit.retryAfter),
+      });
+    }
+
+    recordUsage(account, "requests", context);
+    const res = await handler(req, context);
+    if (res.status >= 400) recordUsage(account, "errors", context);
+    return withHeaders(res, { ...cors, ...limit.headers });
+  };
+}
@@ -0,0 +1,252 @@
+// ============================================================
+// CACHE BACKENDS
+// Swappable storage for the shared cache in utils.js.
+//
+// Every backend stores the same entry shape:
+//   { data, storedAt, expires, staleUntil }   (times in ms)
+// and exposes get / set / delete / incr / stats. `set` receives a
+// retention in seconds — how long the backend should keep the
+// entry around (fresh window + stale window), not the fresh TTL.
+//
+// `incr(key, by, retentionSeconds)` keeps a plain counter (rate
+// limits, usage) and returns the new value; retention is set
+// when the counter is created. Only redis is atomic across
+// containers — the others read-modify-write, which is close
+// enough for counting requests.
+//
+// Select with CACHE_BACKEND:
+//   memory  — per-container Map (default, resets on cold start)
+//   file    — JSON files under CACHE_DIR (local dev / single box)
+//   blobs   — Netlify Blobs store CACHE_STORE (shared by all containers)
+//   redis   — Redis over the Upstash-style REST API
+//             (REDIS_REST_URL + REDIS_REST_TOKEN)
+// ============================================================
+
+import { createHash } from "node:crypto";
+import { promises as fs } from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+// ------------------------------------------------------------
+// MEMORY — the original behaviour, now with a retention window
+// ------------------------------------------------------------
+export function memoryBackend() {
+  const store = new Map();
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const item = store.get(key);
+      if (!item) return null;
+      if (Date.now() > item.retainUntil) {
+        store.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+
+    async set(key, entry, retentionSeconds) {
+      store.set(key, { entry, retainUntil: Date.now() + retentionSeconds * 1000 });
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+
+    async incr(key, by, retentionSeconds) {
+      const item = store.get(key);
+      if (item && Date.now() <= item.retainUntil) {
+        item.entry += by;
+        return item.entry;
+      }
+      store.set(key, { entry: by, retainUntil: Date.now() + retentionSeconds * 1000 });
+      return by;
+    },
+
+    async stats() {
+      return { backend: "memory", entries: store.size, keys: [...store.keys()] };
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// FILE — one JSON file per key, named by a hash of the key
+// ------------------------------------------------------------
+export function fileBackend(dir = process.env.CACHE_DIR || path.join(os.tmpdir(), "bball-api-cache")) {
+  const fileFor = (key) => path.join(dir, createHash("sha1").update(key).digest("hex") + ".json");
+  let ready = null;
+  const ensureDir = () => (ready ??= fs.mkdir(dir, { recursive: true }));
+
+  return {
+    name: "file",
+
+    async get(key) {
+      try {
+        const item = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        if (Date.now() > item.retainUntil) {
+          await fs.rm(fileFor(key), { force: true });
+          return null;
+        }
+        return item.entry;
+      } catch {
+        return null; // missing or half-written file — treat as a miss
+      }
+    },
+
+    async set(key, entry, retentionSeconds) {
+      await ensureDir();
+      // Write-then-rename so concurrent readers never see a partial file
+      const target = fileFor(key);
+      const tmp = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ key, entry, retainUntil: Date.now() + retentionSeconds * 1000 }));
+      await fs.rename(tmp, target);
+    },
+
+    async delete(key) {
+      await fs.rm(fileFor(key), { force: true });
+    },
+
+    async incr(key, by, retentionSeconds) {
+      let item = null;
+      try {
+        item = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+      } catch {
+        // no counter yet
+      }
+      const live = item && Date.now() <= item.retainUntil;
+      const value = (live ? item.entry : 0) + by;
+      const retainUntil = live ? item.retainUntil : Date.now() + retentionSeconds * 1000;
+      await this.set(key, value, (retainUntil - Date.now()) / 1000);
+      return value;
+    },
+
+    async stats() {
+      let files = [];
+      try {
+        files = (await fs.readdir(dir)).filter(f => f.endsWith(".json"));
+      } catch {
+        // directory not created yet
+      }
+      return { backend: "file", dir, entries: files.length };
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// NETLIFY BLOBS — shared across every container of the site
+// Loaded lazily so the other backends don't need the package.
+// ------------------------------------------------------------
+export function blobsBackend(storeName = process.env.CACHE_STORE || "bball-api-cache") {
+  let storePromise = null;
+  const getStore = () => (storePromise ??= import("@netlify/blobs").then(m => m.getStore(storeName)));
+
+  return {
+    name: "blobs",
+
+    async get(key) {
+      const store = await getStore();
+      const item = await store.get(key, { type: "json" });
+      if (!item) return null;
+      if (Date.now() > item.retainUntil) {
+        await store.delete(key);
+        return null;
+      }
+      return item.entry;
+    },
+
+    async set(key, entry, retentionSeconds) {
+      const store = await getStore();
+      await store.setJSON(key, { entry, retainUntil: Date.now() + retentionSeconds * 1000 });
+    },
+
+    async delete(key) {
+      const store = await getStore();
+      await store.delete(key);
+    },
+
+    async incr(key, by, retentionSeconds) {
+      const store = await getStore();
+      const item = await store.get(key, { type: "json" });
+      const live = item && Date.now() <= item.retainUntil;
+      const next = {
+        entry: (live ? item.entry : 0) + by,
+        retainUntil: live ? item.retainUntil : Date.now() + retentionSeconds * 1000,
+      };
+      await store.setJSON(key, next);
+      return next.entry;
+    },
+
+    async stats() {
+      const store = await getStore();
+      const { blobs } = await store.list();
+      return { backend: "blobs", store: storeName, entries: blobs.length };
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// REDIS — Upstash-compatible REST API, so no client library
+// and no long-lived TCP connection from a function
+// ------------------------------------------------------------
+export function redisBackend(
+  url = process.env.REDIS_REST_URL || process.env.UPSTASH_REDIS_REST_URL,
+  token = process.env.REDIS_REST_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN,
+  prefix = process.env.CACHE_PREFIX || "bball:",
+) {
+  if (!url || !token) throw new Error("CACHE_BACKEND=redis needs REDIS_REST_URL and REDIS_REST_TOKEN");
+
+  async function command(...args) {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    if (!res.ok) throw new Error(`Redis ${args[0]} failed: ${res.status}`);
+    const body = await res.json();
+    if (body.error) throw new Error(`Redis ${args[0]} failed: ${body.error}`);
+    return body.result;
+  }
+
+  return {
+    name: "redis",
+
+    async get(key) {
+      const raw = await command("GET", prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, entry, retentionSeconds) {
+      // Redis expires the key itself — no retainUntil bookkeeping needed
+      await command("SET", prefix + key, JSON.stringify(entry), "EX", Math.max(1, Math.ceil(retentionSeconds)));
+    },
+
+    async delete(key) {
+      await command("DEL", prefix + key);
+    },
+
+    async incr(key, by, retentionSeconds) {
+      const value = await command("INCRBY", prefix + key, by);
+      if (value === by) await command("EXPIRE", prefix + key, Math.max(1, Math.ceil(retentionSeconds)));
+      return value;
+    },
+
+    async stats() {
+      return { backend: "redis", prefix, entries: await command("DBSIZE") };
+    },
+  };
+}
+
+const BACKENDS = {
+  memory: memoryBackend,
+  file: fileBackend,
+  blobs: blobsBackend,
+  redis: redisBackend,
+};
+
+// Pick the shared backend from CACHE_BACKEND (default: memory)
+export function createBackend(name = process.env.CACHE_BACKEND || "memory") {
+  const factory = BACKENDS[name.toLowerCase()];
+  if (!factory) throw new Error(`Unknown CACHE_BACKEND "${name}" (use ${Object.keys(BACKENDS).join(", ")})`);
+  return factory();
+}
@@ -0,0 +1,223 @@
+// ============================================================
+// COMPETITION & SEASON REGISTRY
+// What upstream actually has (/competitions, /competitions/{code}/
+// seasons, cached for a day). Backs /api/competitions and
+// /api/seasons, and the check withRoute runs on every route with
+// season params (resolveSeason):
+//   - season=current (the default) → the competition's season
+//     under way; NextGen: the latest tournament that has started
+//   - seasonCode alone sets code (JA25 → J); a contradicting
+//     code=E&seasonCode=JA25 is a 400
+//   - an unknown season / seasonCode is a 400 naming the closest
+//     real one, instead of an opaque upstream 404 / 502
+// If upstream can't list seasons the check is skipped (for a
+// minute) and the current season comes from the calendar; the
+// reason ends up in params.warnings for handlers that report them.
+// ============================================================
+
+import { buildSeasonCode } from "../utils.js";
+import { fetchSeasons, fetchSeasonGames, fanOut } from "./upstream.js";
+import { pick } from "./pbp.js";
+import { seasonYear, currentSeasonYear } from "./http-cache.js";
+
+export const COMPETITIONS = {
+  E: { name: "EuroLeague", kind: "league" },
+  U: { name: "EuroCup", kind: "league" },
+  J: { name: "NextGen", kind: "tournaments" },
+};
+
+const UNAVAILABLE_MS = 60000;
+const MAX_DISTANCE = 2;
+
+// Competition code from a season code: E2025 → E, U2024 → U, JA25 / JBO25 → J
+export function competitionOf(seasonCode) {
+  return String(seasonCode).charAt(0).toUpperCase();
+}
+
+// ------------------------------------------------------------
+// SEASONS
+// ------------------------------------------------------------
+function seasonEntry(s, code) {
+  const seasonCode = String(pick(s, "code", "seasonCode") || "").trim().toUpperCase();
+  const venue = typeof s.venue === "object" ? s.venue?.name : s.venue;
+  return {
+    seasonCode,
+    competition: code,
+    name: pick(s, "name") ?? null,
+    alias: pick(s, "alias") ?? null,
+    year: Number(pick(s, "year")) || seasonYear(seasonCode),
+    startDate: pick(s, "startDate") ?? null,
+    endDate: pick(s, "endDate", "finishDate") ?? null,
+    venue: venue || pick(s, "city") || null,
+  };
+}
+
+// Newest first: start date, then year
+function newestFirst(a, b) {
+  return String(b.startDate || "").localeCompare(String(a.startDate || "")) || (b.year ?? 0) - (a.year ?? 0);
+}
+
+// Seasons of one competition, newest first; options as in lib/upstream.js
+export async function listSeasons(code, options) {
+  const seasons = (await fetchSeasons(code, options)).map(s => seasonEntry(s, code)).filter(s => s.seasonCode);
+  return seasons.sort(newestFirst);
+}
+
+// The newest season that has started (no start date: by year)
+export function currentOf(seasons, now = new Date()) {
+  const started = seasons.filter(s => (s.startDate ? new Date(s.startDate) <= now : s.year <= currentSeasonYear(now)));
+  return (started[0] || seasons[seasons.length - 1])?.seasonCode ?? null;
+}
+
+// NextGen: the season list has no venue (and sometimes no dates),
+// so they come from each tournament's games → { seasons, complete }
+export async function withGameDetails(code, seasons, { options, deadline = null } = {}) {
+  const missing = seasons.filter(s => !s.venue || !s.startDate || !s.endDate);
+  const { results, errors, pending } = await fanOut(missing, s => fetchSeasonGames(code, s.seasonCode, options), { concurrency: 4, deadline });
+  const details = new Map(results.map(({ item, value: games }) => {
+    const dates = games.map(g => g.utcDate || g.date).filter(Boolean).sort();
+    const venues = games.map(g => g.venue?.name).filter(Boolean);
+    return [item.seasonCode, {
+      startDate: item.startDate ?? dates[0] ?? null,
+      endDate: item.endDate ?? dates[dates.length - 1] ?? null,
+      venue: item.venue ?? mostCommon(venues),
+    }];
+  }));
+  return {
+    seasons: seasons.map(s => ({ ...s, ...details.get(s.seasonCode) })),
+    complete: errors.length === 0 && pending.length === 0,
+  };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+}
+
+// ------------------------------------------------------------
+// VALIDATION
+// ------------------------------------------------------------
+const unavailable = new Map(); // code → { until (ms), reason }: no registry lookups till then
+
+const unavailableWarning = (code, reason) => `Season list for ${code} unavailable, seasons not checked: ${reason}`;
+
+// → { seasons, warning }: seasons to check against, or null (with
+// the reason in warning when upstream couldn't list them)
+async function knownSeasons(code) {
+  const down = unavailable.get(code);
+  if (down?.until > Date.now()) return { seasons: null, warning: unavailableWarning(code, down.reason) };
+  try {
+    const seasons = await listSeasons(code, { fetch: { timeout: 3000, retries: 0 } });
+    return { seasons: seasons.length ? seasons : null, warning: null };
+  } catch (err) {
+    unavailable.set(code, { until: Date.now() + UNAVAILABLE_MS, reason: err.message });
+    return { seasons: null, warning: unavailableWarning(code, err.message) };
+  }
+}
+
+// → { seasonCode, warning }; from the calendar when the registry is down
+export async function currentSeason(code) {
+  const { seasons, warning } = await knownSeasons(code);
+  return { seasonCode: (seasons && currentOf(seasons)) || buildSeasonCode(code, "current"), warning };
+}
+
+export async function currentSeasonCode(code) {
+  return (await currentSeason(code)).seasonCode;
+}
+
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Closest real season code (ties → the newer season), else the current one
+export function closestSeason(seasonCode, seasons) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const s of seasons) {
+    const d = distance(seasonCode, s.seasonCode);
+    if (d < bestDistance) [best, bestDistance] = [s.seasonCode, d];
+  }
+  return bestDistance <= MAX_DISTANCE ? best : currentOf(seasons);
+}
+
+// One season code → [] or [param error]; a skipped check adds to warnings
+async function checkSeason(param, value, seasonCode, warnings) {
+  const code = competitionOf(seasonCode);
+  if (!COMPETITIONS[code]) {
+    return [{ param, message: `${param} ${value} doesn't start with a competition code (${Object.keys(COMPETITIONS).join(", ")})`, value }];
+  }
+  const { seasons, warning } = await knownSeasons(code);
+  if (warning) warnings.push(warning);
+  if (!seasons || seasons.some(s => s.seasonCode === seasonCode)) return [];
+  const suggestion = closestSeason(seasonCode, seasons);
+  return [{
+    param,
+    message: `Unknown ${COMPETITIONS[code].name} season ${seasonCode}${suggestion ? ` — did you mean ${suggestion}?` : ""} (see /api/seasons?code=${code})`,
+    value,
+    suggestion,
+  }];
+}
+
+// withRoute: fills params.seasonCode (and code) on routes with
+// season params, and params.warnings when the registry was down
+// → param errors, [] when everything exists
+export async function resolveSeason(route, params, raw) {
+  const spec = route.params;
+  if (!spec.code || !(spec.season || spec.seasonCode || spec.seasons)) return [];
+  const errors = [];
+  const warnings = [];
+  const current = async (code) => {
+    const { seasonCode, warning } = await currentSeason(code);
+    if (warning) warnings.push(warning);
+    return seasonCode;
+  };
+
+  if (params.seasonCode) {
+    const code = competitionOf(params.seasonCode);
+    if (raw.code?.trim() && COMPETITIONS[code] && params.code !== code) {
+      errors.push({
+        param: "seasonCode",
+        message: `seasonCode ${params.seasonCode} is a ${COMPETITIONS[code].name} season, not ${params.code}: use code=${code} or leave code out`,
+        value: params.seasonCode,
+        suggestion: `code=${code}`,
+      });
+    } else if (COMPETITIONS[code] && spec.code.enum && !spec.code.enum.includes(code)) {
+      errors.push({
+        param: "seasonCode",
+        message: `seasonCode ${params.seasonCode} is a ${COMPETITIONS[code].name} season; this endpoint takes code ${spec.code.enum.join(", ")}`,
+        value: params.seasonCode,
+      });
+    } else {
+      errors.push(...await checkSeason("seasonCode", params.seasonCode, params.seasonCode, warnings));
+      if (COMPETITIONS[code]) params.code = code;
+    }
+  } else if (params.season === "current") {
+    params.seasonCode = await current(params.code);
+  } else if (params.season) {
+    if (COMPETITIONS[params.code]?.kind === "tournaments") {
+      const suggestion = await current(params.code);
+      errors.push({
+        param: "season",
+        message: `${COMPETITIONS[params.code].name} seasons are tournaments: pass seasonCode (e.g. ${suggestion}, see /api/seasons?code=${params.code})`,
+        value: params.season,
+        suggestion,
+      });
+    } else {
+      params.seasonCode = buildSeasonCode(params.code, params.season);
+      errors.push(...await checkSeason("season", params.season, params.seasonCode, warnings));
+    }
+  }
+
+  for (const seasonCode of params.seasons || []) errors.push(...await checkSeason("seasons", seasonCode, seasonCode, warnings));
+  if (warnings.length) params.warnings = [...new Set(warnings)];
+  return errors;
+}
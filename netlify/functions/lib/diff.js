@@ -0,0 +1,63 @@
+// ============================================================
+// ROW DIFFS
+// Field-level comparison of freshly transformed rows against
+// stored ones, for /api/sync?dryRun=true.
+//
+// Stored rows come back from Postgres in its own formats, so
+// values are compared loosely: "80" equals 80, two timestamps
+// for the same instant are equal, null equals a missing value,
+// and JSON columns compare by content.
+// ============================================================
+
+// Bookkeeping columns that differ on every run
+export const IGNORED_COLUMNS = new Set(["raw_data", "synced_at"]);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (a == null || b == null) return a == null && b == null;
+  if (typeof a === "object" || typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+  if (typeof a === "string" && typeof b === "string" && ISO_DATE.test(a) && ISO_DATE.test(b)) {
+    return Date.parse(a) === Date.parse(b);
+  }
+  const na = Number(a);
+  const nb = Number(b);
+  return a !== "" && b !== "" && Number.isFinite(na) && Number.isFinite(nb) && na === nb;
+}
+
+// { column: { from, to } } for every column of `next` that changed, or null
+export function diffRow(stored, next) {
+  const fields = {};
+  for (const [column, value] of Object.entries(next)) {
+    if (IGNORED_COLUMNS.has(column)) continue;
+    if (!sameValue(stored[column], value)) fields[column] = { from: stored[column] ?? null, to: value ?? null };
+  }
+  return Object.keys(fields).length > 0 ? fields : null;
+}
+
+// Match rows by key → { inserts, updates, unchanged, missing }
+//   inserts    next rows with no stored counterpart
+//   updates    [{ key, row, fields }] for rows that would change
+//   unchanged  count of identical rows
+//   missing    stored rows absent upstream (a sync never deletes them)
+export function diffRows(storedRows, nextRows, keyOf) {
+  const stored = new Map(storedRows.map(r => [keyOf(r), r]));
+  const result = { inserts: [], updates: [], unchanged: 0, missing: [] };
+
+  for (const row of nextRows) {
+    const key = keyOf(row);
+    const old = stored.get(key);
+    stored.delete(key);
+    if (!old) {
+      result.inserts.push(row);
+      continue;
+    }
+    const fields = diffRow(old, row);
+    if (fields) result.updates.push({ key, row, fields });
+    else result.unchanged++;
+  }
+
+  result.missing = [...stored.values()];
+  return result;
+}
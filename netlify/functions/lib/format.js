@@ -0,0 +1,104 @@
+// ============================================================
+// TABULAR OUTPUT — format=csv | tsv | ndjson
+// For spreadsheets, R and pandas. Endpoints with a row shape
+// (games, box score players, standings, leaderboards) hand
+// their rows to tabularResponse() when format isn't json.
+//
+// Flattening is predictable: nested keys join with "_"
+//   { local: { partials: { partials1: 20 } } } → local_partials_partials1
+//   { local_ot: { "1": 8 } }                   → local_ot_1
+// arrays of scalars join with ";" (teams: ["MAD","BAR"] → MAD;BAR),
+// arrays of objects stay JSON text. Columns are the union of
+// every row's keys, in row order; missing cells are empty.
+// NDJSON keeps each row's nesting (one JSON object per line).
+// ============================================================
+
+import { corsHeaders } from "../utils.js";
+import { etagFor } from "./http-cache.js";
+
+export const FORMATS = ["json", "csv", "tsv", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  tsv: "text/tab-separated-values; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+export function flattenRow(row, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(row)) {
+    const column = prefix ? `${prefix}_${key}` : key;
+    if (isPlainObject(value)) {
+      flattenRow(value, column, out);
+    } else if (Array.isArray(value)) {
+      out[column] = value.some(v => v !== null && typeof v === "object") ? JSON.stringify(value) : value.join(";");
+    } else {
+      out[column] = value;
+    }
+  }
+  return out;
+}
+
+// A key first seen in a later row goes right after its neighbour
+// in that row, so local_ot_1 sits next to local_q4 whichever
+// game had the overtime
+export function columnsOf(rows) {
+  const columns = [];
+  const seen = new Set();
+  for (const row of rows) {
+    let after = -1;
+    for (const key of Object.keys(row)) {
+      if (seen.has(key)) {
+        after = columns.indexOf(key);
+        continue;
+      }
+      columns.splice(after + 1, 0, key);
+      seen.add(key);
+      after += 1;
+    }
+  }
+  return columns;
+}
+
+// RFC 4180: quote fields with the separator, quotes or line breaks
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// TSV has no quoting; tabs and line breaks inside a value become spaces
+function tsvCell(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).replace(/[\t\r\n]+/g, " ");
+}
+
+export function toDelimited(rows, format, columns = null) {
+  const flat = rows.map(r => flattenRow(r));
+  const cols = columns || columnsOf(flat);
+  const [cell, sep] = format === "tsv" ? [tsvCell, "\t"] : [csvCell, ","];
+  const lines = [cols.map(cell).join(sep), ...flat.map(r => cols.map(c => cell(r[c])).join(sep))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+export function toNdjson(rows) {
+  return rows.map(r => JSON.stringify(r)).join("\n") + (rows.length ? "\n" : "");
+}
+
+// rows → Response; filename without extension ("boxscore-E2025-12")
+export function tabularResponse(rows, format, { filename = "data", columns = null, headers = {} } = {}) {
+  const body = format === "ndjson" ? toNdjson(rows) : toDelimited(rows, format, columns);
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": CONTENT_TYPES[format],
+      "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+      "ETag": etagFor(body),
+      ...corsHeaders,
+      ...headers,
+    },
+  });
+}
@@ -0,0 +1,117 @@
+// ============================================================
+// HTTP CACHING — ETag, conditional GET, Cache-Control
+// The in-function cache (utils.js) saves upstream calls; this
+// lets browsers and Netlify's CDN skip calling us at all.
+//
+// ETag: weak ("W/…") hash of the JSON body without the fields
+// that change on every refresh (_meta.cachedAt / generatedAt,
+// top-level timestamp / elapsed), so a re-fetched but identical
+// payload keeps its tag and If-None-Match gets a 304.
+//
+// Cache-Control by what the data is:
+//   past season         immutable
+//   final game          minutes in browsers, a day on the CDN
+//   live game           seconds
+//   anything else       the route's cacheTtl (lib/routes.js),
+//                       stale-while-revalidate = 5 × ttl
+//   incomplete result   no-cache (the next call finishes it)
+// Netlify-CDN-Cache-Control carries the CDN's (longer) share.
+// With API keys configured responses are private and never
+// stored on the CDN, which would serve them without a key.
+// ============================================================
+
+import { createHash } from "node:crypto";
+
+const VOLATILE_META = ["cachedAt", "generatedAt"];
+const VOLATILE_TOP = ["timestamp", "elapsed"];
+
+const POLICIES = {
+  past:  { browser: "public, max-age=86400, immutable", cdn: "public, max-age=31536000, immutable" },
+  final: { browser: "public, max-age=300, stale-while-revalidate=3600", cdn: "public, s-maxage=86400, stale-while-revalidate=604800" },
+  live:  { browser: "public, max-age=5, stale-while-revalidate=10", cdn: "public, s-maxage=10, stale-while-revalidate=30" },
+  none:  { browser: "no-cache", cdn: null },
+};
+
+// Season codes end in the start year: E2024 → 2024, JA25 → 2025
+export function seasonYear(seasonCode) {
+  const digits = String(seasonCode || "").match(/(\d{2,4})$/)?.[1];
+  if (!digits) return null;
+  return digits.length === 2 ? 2000 + parseInt(digits) : parseInt(digits);
+}
+
+// Seasons start in August
+export function currentSeasonYear(now = new Date()) {
+  return now.getUTCMonth() >= 7 ? now.getUTCFullYear() : now.getUTCFullYear() - 1;
+}
+
+export function isPastSeason(seasonCode, now = new Date()) {
+  const year = seasonYear(seasonCode);
+  if (year === null) return false;
+  return year < currentSeasonYear(now);
+}
+
+// Headers for one response
+//   ttl       route cacheTtl (seconds); 0/undefined → no-cache
+//   seasonCode, state ("Live" | "Played" | "Scheduled", from gameState)
+//   complete  false for partial results (pending games)
+export function cacheHeaders({ ttl = 0, seasonCode = null, state = null, complete = true } = {}) {
+  let policy;
+  if (!complete) policy = POLICIES.none;
+  else if (seasonCode && isPastSeason(seasonCode)) policy = POLICIES.past;
+  else if (state === "Live") policy = POLICIES.live;
+  else if (state === "Played") policy = POLICIES.final;
+  else if (ttl > 0) policy = { browser: `public, max-age=${ttl}, stale-while-revalidate=${ttl * 5}`, cdn: `public, s-maxage=${ttl}, stale-while-revalidate=${ttl * 5}` };
+  else policy = POLICIES.none;
+
+  const headers = { "Cache-Control": policy.browser };
+  if (policy.cdn) headers["Netlify-CDN-Cache-Control"] = policy.cdn;
+  return headers;
+}
+
+// ------------------------------------------------------------
+// ETAGS
+// ------------------------------------------------------------
+function stable(data) {
+  if (data === null || typeof data !== "object" || Array.isArray(data)) return data;
+  const out = { ...data };
+  for (const key of VOLATILE_TOP) delete out[key];
+  if (out._meta && typeof out._meta === "object") {
+    out._meta = { ...out._meta };
+    for (const key of VOLATILE_META) delete out._meta[key];
+  }
+  return out;
+}
+
+export function etagFor(data) {
+  const text = typeof data === "string" ? data : JSON.stringify(stable(data));
+  return `W/"${createHash("sha1").update(text).digest("base64url")}"`;
+}
+
+// If-None-Match: "*", one tag or a list; weak comparison
+function matches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === "*") return true;
+  const bare = (t) => t.trim().replace(/^W\//, "");
+  return header.split(",").some(t => bare(t) === bare(etag));
+}
+
+// Final touches on a handler's response: default Cache-Control,
+// private when keys are in use, 304 for a matching If-None-Match
+export function conditional(req, res, { ttl = 0, privateCache = false } = {}) {
+  if (res.status !== 200) return res;
+
+  const headers = new Headers(res.headers);
+  if (!headers.has("Cache-Control")) {
+    for (const [k, v] of Object.entries(cacheHeaders({ ttl }))) headers.set(k, v);
+  }
+  if (privateCache) {
+    headers.set("Cache-Control", headers.get("Cache-Control").replace(/^public/, "private"));
+    headers.delete("Netlify-CDN-Cache-Control");
+  }
+
+  if (matches(req.headers.get("if-none-match"), headers.get("ETag"))) {
+    for (const k of ["Content-Type", "Content-Disposition", "Content-Length"]) headers.delete(k);
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(res.body, { status: res.status, statusText: res.statusText, headers });
+}
@@ -0,0 +1,129 @@
+// ============================================================
+// LEADERBOARDS
+// Aggregates player_stats rows per player and ranks them.
+//
+// Counting stats rank as per-game average, season total or
+// per-40-minutes. Percentage stats are always computed from
+// summed makes/attempts (never averaged per game) and only
+// players over the attempt threshold qualify.
+// ============================================================
+
+import { sumRows } from "./advanced.js";
+import { cleanCode } from "./pbp.js";
+
+const FT_WEIGHT = 0.44;
+
+// stat name → row column (counting) or makes/attempts recipe (percentage)
+export const STATS = {
+  points:             { column: "points" },
+  rebounds:           { column: "total_rebounds" },
+  offensive_rebounds: { column: "offensive_rebounds" },
+  defensive_rebounds: { column: "defensive_rebounds" },
+  assists:            { column: "assists" },
+  steals:             { column: "steals" },
+  blocks:             { column: "blocks_favour" },
+  turnovers:          { column: "turnovers" },
+  fouls_received:     { column: "fouls_received" },
+  pir:                { column: "pir" },
+  minutes:            { column: "minutes_decimal" },
+  field_goals_made:   { column: "field_goals_made" },
+  three_points_made:  { column: "three_points_made" },
+  free_throws_made:   { column: "free_throws_made" },
+
+  fg_pct:    { pct: t => [t.field_goals_made, t.field_goals_attempted], attempts: "field_goals_attempted", minPerGame: 3 },
+  two_pct:   { pct: t => [t.two_points_made, t.two_points_attempted], attempts: "two_points_attempted", minPerGame: 2 },
+  three_pct: { pct: t => [t.three_points_made, t.three_points_attempted], attempts: "three_points_attempted", minPerGame: 1 },
+  ft_pct:    { pct: t => [t.free_throws_made, t.free_throws_attempted], attempts: "free_throws_attempted", minPerGame: 1 },
+  efg_pct:   { pct: t => [t.field_goals_made + 0.5 * t.three_points_made, t.field_goals_attempted], attempts: "field_goals_attempted", minPerGame: 3 },
+  ts_pct:    { pct: t => [t.points, 2 * (t.field_goals_attempted + FT_WEIGHT * t.free_throws_attempted)], attempts: "field_goals_attempted", minPerGame: 3 },
+};
+
+export const PER_MODES = ["game", "total", "40min"];
+
+const round = (n, digits = 1) => (Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null);
+
+// Row filters shared by every leaderboard: team, position, rounds, home/road
+export function filterRows(rows, { teamCode, position, roundFrom, roundTo, location } = {}) {
+  return rows.filter(r => {
+    if (teamCode && cleanCode(r.team_code) !== teamCode) return false;
+    if (position && !String(r.position || "").toLowerCase().includes(position.toLowerCase())) return false;
+    const gameRound = parseInt(r.round);
+    if (roundFrom && !(gameRound >= roundFrom)) return false;
+    if (roundTo && !(gameRound <= roundTo)) return false;
+    if (location === "home" && !r.is_local) return false;
+    if (location === "road" && r.is_local) return false;
+    return true;
+  });
+}
+
+// rows → one aggregate per player (games = appearances with minutes > 0)
+export function aggregatePlayers(rows) {
+  const byPlayer = new Map();
+  for (const r of rows) {
+    if (!r.person_code || !(Number(r.minutes_decimal) > 0)) continue; // DNP
+    if (!byPlayer.has(r.person_code)) byPlayer.set(r.person_code, { rows: [], teams: new Set() });
+    const p = byPlayer.get(r.person_code);
+    p.rows.push(r);
+    if (r.team_code) p.teams.add(cleanCode(r.team_code));
+  }
+
+  return [...byPlayer.entries()].map(([personCode, p]) => {
+    const last = p.rows[p.rows.length - 1];
+    return {
+      person_code: personCode,
+      player_name: last.player_name,
+      position: last.position,
+      teams: [...p.teams],
+      games: p.rows.length,
+      totals: sumRows(p.rows),
+    };
+  });
+}
+
+export function rankLeaders(players, { stat = "points", per = "game", minGames = 1, minMinutes = 0, minAttempts = null, limit = 25 } = {}) {
+  const def = STATS[stat];
+  if (!def) throw new Error(`Unknown stat "${stat}"`);
+
+  const ranked = [];
+  for (const p of players) {
+    const mpg = p.totals.minutes_decimal / p.games;
+    if (p.games < minGames || mpg < minMinutes) continue;
+
+    let value;
+    let extra = {};
+    if (def.pct) {
+      const [made, attempts] = def.pct(p.totals);
+      const needed = minAttempts ?? def.minPerGame * p.games;
+      if (p.totals[def.attempts] < needed || attempts <= 0) continue;
+      value = round((made / attempts) * 100);
+      extra = { made: round(made), attempts: round(attempts) };
+    } else {
+      const total = p.totals[def.column];
+      if (per === "total") value = round(total);
+      else if (per === "40min") value = p.totals.minutes_decimal > 0 ? round((total / p.totals.minutes_decimal) * 40) : null;
+      else value = round(total / p.games);
+      extra = { total: round(total) };
+      if (value === null) continue;
+    }
+
+    ranked.push({
+      person_code: p.person_code,
+      player_name: p.player_name,
+      position: p.position,
+      teams: p.teams,
+      games: p.games,
+      minutes_per_game: round(mpg),
+      value,
+      ...extra,
+    });
+  }
+
+  ranked.sort((a, b) => b.value - a.value || b.games - a.games);
+
+  // Ties share a rank
+  let rank = 0;
+  return ranked.slice(0, limit).map((r, i, arr) => {
+    if (i === 0 || r.value !== arr[i - 1].value) rank = i + 1;
+    return { rank, ...r };
+  });
+}
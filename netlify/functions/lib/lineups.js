@@ -0,0 +1,221 @@
+// ============================================================
+// LINEUP RECONSTRUCTION
+// Replays normalized play-by-play (lib/pbp.js) starting from
+// the box-score starters and tracks the five players on court
+// for each side at every event.
+//
+// Per lineup:  seconds, points for/against, possessions for/
+//              against, offensive/defensive/net rating
+// Per player:  the same totals on court and off court
+//
+// Ratings are points per 100 possessions. Possessions are
+// counted the same way buildPossessions() does: a new one starts
+// whenever the team on offense changes (or a period starts).
+// ============================================================
+
+import { offenseSide, cleanCode, SUB_IN, SUB_OUT } from "./pbp.js";
+
+const SIDES = ["local", "road"];
+const COURT_SIZE = 5;
+
+function emptyTotals() {
+  return { seconds: 0, pointsFor: 0, pointsAgainst: 0, possessionsFor: 0, possessionsAgainst: 0 };
+}
+
+function addTotals(into, from) {
+  for (const k of Object.keys(into)) into[k] += from[k] || 0;
+  return into;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function rating(points, possessions) {
+  return possessions > 0 ? round1((points / possessions) * 100) : null;
+}
+
+// Adds minutes, plus/minus and ratings to a totals object
+export function withRatings(totals) {
+  const offRating = rating(totals.pointsFor, totals.possessionsFor);
+  const defRating = rating(totals.pointsAgainst, totals.possessionsAgainst);
+  return {
+    ...totals,
+    minutes: round1(totals.seconds / 60),
+    plusMinus: totals.pointsFor - totals.pointsAgainst,
+    offRating,
+    defRating,
+    netRating: offRating !== null && defRating !== null ? round1(offRating - defRating) : null,
+  };
+}
+
+export function lineupKey(codes) {
+  return [...codes].sort().join("-");
+}
+
+// ------------------------------------------------------------
+// SINGLE GAME
+// plays    — normalizePlays() output
+// codes    — { local, road } team codes
+// roster   — player_stats rows (transformPlayerStats shape)
+// Returns raw totals (no ratings) so games can be merged.
+// ------------------------------------------------------------
+export function reconstructLineups(plays, codes, roster) {
+  const names = new Map();
+  const court = { local: new Set(), road: new Set() };
+  const team = { local: emptyTotals(), road: emptyTotals() };
+  const lineups = new Map();    // side:key → { side, players, totals }
+  const players = new Map();    // personCode → { side, on }
+  const warnings = [];
+
+  for (const row of roster) {
+    const code = cleanCode(row.person_code);
+    if (!code) continue;
+    const side = row.is_local ? "local" : "road";
+    names.set(code, row.player_name);
+    players.set(code, { side, on: emptyTotals() });
+    if (row.is_starter) court[side].add(code);
+  }
+  for (const side of SIDES) {
+    if (court[side].size !== COURT_SIZE) warnings.push(`${codes[side]}: ${court[side].size} starters in box score (expected ${COURT_SIZE})`);
+  }
+
+  const lineupFor = (side) => {
+    const key = `${side}:${lineupKey(court[side])}`;
+    if (!lineups.has(key)) lineups.set(key, { side, players: [...court[side]].sort(), totals: emptyTotals() });
+    return lineups.get(key);
+  };
+
+  // Apply one change in totals to the side's team, lineup and on-court players
+  const credit = (side, delta) => {
+    addTotals(team[side], delta);
+    addTotals(lineupFor(side).totals, delta);
+    for (const code of court[side]) {
+      const p = players.get(code);
+      if (p) addTotals(p.on, delta);
+    }
+  };
+
+  let lastElapsed = 0;
+  let prevScore = { local: 0, road: 0 };
+  let possession = null; // { side, period }
+
+  for (const play of plays) {
+    // Time since the last event belongs to whoever was on court
+    const dt = Math.max(0, play.elapsed - lastElapsed);
+    if (dt > 0) for (const side of SIDES) credit(side, { seconds: dt });
+    lastElapsed = Math.max(lastElapsed, play.elapsed);
+
+    const offense = offenseSide(play, codes);
+    if (offense && (!possession || possession.side !== offense || possession.period !== play.period)) {
+      possession = { side: offense, period: play.period };
+      credit(offense, { possessionsFor: 1 });
+      credit(offense === "local" ? "road" : "local", { possessionsAgainst: 1 });
+    }
+
+    const scored = { local: play.localScore - prevScore.local, road: play.roadScore - prevScore.road };
+    for (const side of SIDES) {
+      if (scored[side] > 0) {
+        credit(side, { pointsFor: scored[side] });
+        credit(side === "local" ? "road" : "local", { pointsAgainst: scored[side] });
+      }
+    }
+    prevScore = { local: play.localScore, road: play.roadScore };
+
+    const side = play.teamCode === codes.local ? "local" : play.teamCode === codes.road ? "road" : null;
+    const code = play.personCode;
+    if (!side || !code) continue;
+    if (!names.has(code) && play.playerName) names.set(code, play.playerName);
+    if (!players.has(code)) players.set(code, { side, on: emptyTotals() });
+
+    if (play.playType === SUB_IN) {
+      court[side].add(code);
+    } else if (play.playType === SUB_OUT) {
+      court[side].delete(code);
+    } else if (!court[side].has(code) && court[side].size < COURT_SIZE) {
+      // Acting player we never saw come in — the feed dropped a sub
+      court[side].add(code);
+      warnings.push(`${codes[side]}: inferred ${code} on court at P${play.period} ${play.clock}`);
+    }
+  }
+
+  // Plain objects so a game's reconstruction can sit in the shared cache
+  return {
+    codes,
+    team,
+    lineups: [...lineups.values()],
+    players: Object.fromEntries(players),
+    names: Object.fromEntries(names),
+    warnings,
+  };
+}
+
+// ------------------------------------------------------------
+// MERGE + FORMAT
+// Games are reconstructed separately and merged here, so one
+// function serves both single-game and multi-game requests.
+// ------------------------------------------------------------
+export function summarizeLineups(games, { side = null, teamCode = null, minMinutes = 0 } = {}) {
+  const sides = [];
+  for (const g of games) {
+    for (const s of SIDES) {
+      if (side && s !== side) continue;
+      if (teamCode && g.codes[s] !== teamCode) continue;
+      sides.push({ game: g, side: s });
+    }
+  }
+
+  const byTeam = new Map();
+  for (const { game, side: s } of sides) {
+    const code = game.codes[s];
+    if (!byTeam.has(code)) byTeam.set(code, { team: emptyTotals(), lineups: new Map(), players: new Map(), names: new Map(), games: 0 });
+    const acc = byTeam.get(code);
+    acc.games++;
+    addTotals(acc.team, game.team[s]);
+    for (const [c, n] of Object.entries(game.names)) if (n && !acc.names.has(c)) acc.names.set(c, n);
+
+    for (const l of game.lineups.filter(l => l.side === s)) {
+      const key = lineupKey(l.players);
+      if (!acc.lineups.has(key)) acc.lineups.set(key, { players: l.players, totals: emptyTotals(), games: 0 });
+      const entry = acc.lineups.get(key);
+      addTotals(entry.totals, l.totals);
+      entry.games++;
+    }
+
+    for (const [c, p] of Object.entries(game.players)) {
+      if (p.side !== s || p.on.seconds === 0) continue; // DNP
+      if (!acc.players.has(c)) acc.players.set(c, { on: emptyTotals(), teamTotals: emptyTotals(), games: 0 });
+      const entry = acc.players.get(c);
+      addTotals(entry.on, p.on);
+      // Team totals only for games the player appeared in, so "off" means "on the bench"
+      addTotals(entry.teamTotals, game.team[s]);
+      entry.games++;
+    }
+  }
+
+  return [...byTeam.entries()].map(([code, acc]) => {
+    const named = (c) => ({ personCode: c, name: acc.names.get(c) || null });
+
+    const lineups = [...acc.lineups.values()]
+      .map(l => ({ players: l.players.map(named), games: l.games, ...withRatings(l.totals) }))
+      .filter(l => l.minutes >= minMinutes && l.seconds > 0)
+      .sort((a, b) => b.seconds - a.seconds);
+
+    const players = [...acc.players.entries()]
+      .map(([c, p]) => {
+        const off = {};
+        for (const k of Object.keys(p.on)) off[k] = p.teamTotals[k] - p.on[k];
+        const on = withRatings(p.on);
+        const offCourt = withRatings(off);
+        return {
+          ...named(c),
+          games: p.games,
+          on,
+          off: offCourt,
+          onOffNet: on.netRating !== null && offCourt.netRating !== null ? round1(on.netRating - offCourt.netRating) : null,
+        };
+      })
+      .filter(p => p.on.seconds > 0)
+      .sort((a, b) => b.on.seconds - a.on.seconds);
+
+    return { team: code, games: acc.games, totals: withRatings(acc.team), lineups, players };
+  });
+}
@@ -0,0 +1,145 @@
+// ============================================================
+// LIST CONVENTIONS — filters, fields, ordering, pagination
+// Shared by every endpoint that returns a list (/api/games,
+// /api/rounds, …). The endpoint filters its own items; this
+// module sorts, pages and trims them the same way everywhere:
+//
+//   order=asc|desc   stable sort on the endpoint's key (games:
+//                    date, then gameCode)
+//   limit, offset    plain paging
+//   cursor           opaque nextCursor from the previous page;
+//                    resumes after that item even if games were
+//                    added or removed meanwhile (wins over offset)
+//   fields           comma-separated dotted paths to keep,
+//                    e.g. fields=gameCode,local.club.code,local.score
+//
+// Responses carry { data, pagination: { total, returned, limit,
+// offset, hasMore, nextOffset, nextCursor } } (see withList).
+// ============================================================
+
+// Upstream lists come bare or wrapped ({ data }, { teams }, …)
+function listKey(payload) {
+  for (const key of ["data", "teams", "standings", "rounds"]) if (Array.isArray(payload?.[key])) return key;
+  return Object.keys(payload || {}).find(k => Array.isArray(payload[k])) ?? null;
+}
+
+export function listOf(payload) {
+  if (Array.isArray(payload)) return payload;
+  const key = listKey(payload);
+  return key === null ? [] : payload[key];
+}
+
+// The payload's other fields + { data: page, pagination }
+export function withList(payload, page, fields = null) {
+  const rest = Array.isArray(payload) ? {} : { ...payload };
+  const key = listKey(payload);
+  if (key !== null) delete rest[key];
+  return { ...rest, data: page.items.map(item => project(item, fields)), pagination: page.pagination };
+}
+
+// ------------------------------------------------------------
+// ORDERING — keys are arrays ([date, gameCode]) compared left
+// to right; null/undefined sort first
+// ------------------------------------------------------------
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+export function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const c = compareValues(a[i], b[i]);
+    if (c !== 0) return c;
+  }
+  return 0;
+}
+
+export function sortBy(items, keyOf, order = "asc") {
+  const dir = order === "desc" ? -1 : 1;
+  return [...items].sort((x, y) => compareKeys(keyOf(x), keyOf(y)) * dir);
+}
+
+// ------------------------------------------------------------
+// CURSORS — base64url of the last item's sort key
+// ------------------------------------------------------------
+export function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+// null when the cursor is malformed
+export function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return Array.isArray(key) ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// Sorted items → one page. Returns { error } for a bad cursor.
+export function paginate(sorted, keyOf, { limit = null, offset = 0, cursor = null, order = "asc" } = {}) {
+  let start = offset || 0;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    if (!after) return { error: { param: "cursor", message: "Invalid cursor", value: cursor } };
+    const dir = order === "desc" ? -1 : 1;
+    start = sorted.findIndex(item => compareKeys(keyOf(item), after) * dir > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const items = limit ? sorted.slice(start, start + limit) : sorted.slice(start);
+  const end = start + items.length;
+  const hasMore = end < sorted.length;
+  return {
+    items,
+    pagination: {
+      total: sorted.length,
+      returned: items.length,
+      limit: limit || null,
+      offset: start,
+      hasMore,
+      nextOffset: hasMore ? end : null,
+      nextCursor: hasMore && items.length > 0 ? encodeCursor(keyOf(items[items.length - 1])) : null,
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// FIELDS — keep only the given dotted paths, nesting preserved
+// ------------------------------------------------------------
+export function project(item, fields) {
+  if (!fields?.length) return item;
+  const out = {};
+  for (const path of fields) {
+    const keys = path.split(".");
+    let value = item;
+    for (const key of keys) value = value?.[key];
+    if (value === undefined) continue;
+
+    let target = out;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] === null || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+  }
+  return out;
+}
+
+// ------------------------------------------------------------
+// FILTER HELPERS
+// ------------------------------------------------------------
+export function inRange(value, from, to) {
+  if (from === undefined && to === undefined) return true;
+  if (value === null || value === undefined) return false;
+  return (from === undefined || value >= from) && (to === undefined || value <= to);
+}
+
+// "2025-10-02T18:45:00Z" → "2025-10-02" (UTC)
+export function dayOf(date) {
+  if (!date) return null;
+  const d = new Date(date);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+}
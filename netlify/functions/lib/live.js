@@ -0,0 +1,189 @@
+// ============================================================
+// LIVE EVENTS — what /api/live/stream pushes
+// A game's event list is rebuilt from its header + play-by-play
+// on every poll, always in the same order:
+//
+//   status    { status: "Live" }            first play (or header goes live)
+//   play      normalized play (lib/pbp.js)  every play
+//   score     { local, road, points, … }    after a play that moved the score
+//   period    { period, local, road }       "EP" play, or the next period starts
+//   status    { status: "Played" }          game over ("EG" play or header)
+//   final     { local, road, winner }
+//
+// Every event carries a stable mark — its play number (play,
+// score), its period (period) or a fixed flag (status Live; status
+// Played + final) — so a list rebuilt from a corrected feed, or a
+// header that went final before the last plays, never shifts what
+// was already sent. The event id is a cursor per game,
+// "gameCode:lastPlay.periods" plus L (live sent) and F (final
+// sent): "12:187.3L", or "12:187.3L,13:0.0" for a round. A
+// reconnect's Last-Event-ID then says exactly which events to
+// replay — no event log to store.
+//
+// Box score changes aren't part of the replayable list: each
+// connection diffs the player lines it has seen and sends
+// `boxscore` events without an id (the first poll sends them all).
+// ============================================================
+
+import { gameState } from "./upstream.js";
+import { cleanCode } from "./pbp.js";
+import { diffRow } from "./diff.js";
+
+const PERIOD_END = "EP";
+const GAME_END = "EG";
+
+// ------------------------------------------------------------
+// EVENTS
+// ------------------------------------------------------------
+export function liveEvents(game, plays, codes) {
+  const events = [];
+  const state = gameState(game);
+  const ended = state === "Played" || plays.some(p => p.playType === GAME_END);
+
+  if (plays.length > 0 || state !== "Scheduled") events.push({ type: "status", mark: { live: true }, data: { status: "Live" } });
+
+  let local = 0;
+  let road = 0;
+  let period = plays[0]?.period ?? 1;
+  let periodOpen = plays.length > 0;
+  const endPeriod = () => {
+    if (periodOpen) events.push({ type: "period", mark: { period }, data: { period, local, road } });
+    periodOpen = false;
+  };
+
+  for (const play of plays) {
+    if (play.period !== period) {
+      endPeriod();
+      period = play.period;
+    }
+    periodOpen = true;
+    events.push({ type: "play", mark: { play: play.id }, data: play });
+
+    if (play.localScore !== local || play.roadScore !== road) {
+      const points = play.localScore - local + (play.roadScore - road);
+      local = play.localScore;
+      road = play.roadScore;
+      events.push({
+        type: "score",
+        mark: { play: play.id },
+        data: { local, road, points, teamCode: play.teamCode ?? null, period: play.period, clock: play.clock },
+      });
+    }
+    if (play.playType === PERIOD_END || play.playType === GAME_END) endPeriod();
+  }
+
+  if (ended) {
+    endPeriod();
+    // The header has the official score once the game is final
+    const final = {
+      local: game?.local?.score ?? local,
+      road: game?.road?.score ?? road,
+    };
+    final.winner = final.local === final.road ? null : final.local > final.road ? codes.local : codes.road;
+    events.push({ type: "status", mark: { final: true }, data: { status: "Played" } });
+    events.push({ type: "final", mark: { final: true }, data: final });
+  }
+
+  return events;
+}
+
+// The feed itself says the game is over ("EG" play); until then a
+// final header may still be missing its last plays
+export function feedEnded(plays) {
+  return plays.some(p => p.playType === GAME_END);
+}
+
+// Periods over so far (the same rule liveEvents uses): an "EP" /
+// "EG" play closes its period, and so does the next one starting.
+// Takes normalized plays or play_by_play rows.
+export function periodsEnded(plays) {
+  const ended = new Set();
+  let last = null;
+  for (const play of plays) {
+    const type = play.playType ?? play.play_type;
+    if (last !== null && play.period !== last) ended.add(last);
+    if (type === PERIOD_END || type === GAME_END) ended.add(play.period);
+    last = play.period;
+  }
+  return ended.size;
+}
+
+// ------------------------------------------------------------
+// EVENT IDS — per-game cursors { play, periods, live, final }
+// ------------------------------------------------------------
+export const emptyCursor = () => ({ play: 0, periods: 0, live: false, final: false });
+
+// Malformed pairs are dropped (that game replays from the start)
+export function parseEventId(text) {
+  const cursors = new Map();
+  for (const pair of String(text || "").split(",")) {
+    const m = /^\s*(\d+):(\d+)\.(\d+)(L?)(F?)\s*$/.exec(pair);
+    if (m) cursors.set(parseInt(m[1]), { play: parseInt(m[2]), periods: parseInt(m[3]), live: !!m[4], final: !!m[5] });
+  }
+  return cursors;
+}
+
+export function formatEventId(cursors) {
+  return [...cursors.entries()]
+    .map(([gameCode, c]) => `${gameCode}:${c.play}.${c.periods}${c.live ? "L" : ""}${c.final ? "F" : ""}`)
+    .join(",");
+}
+
+// Events the cursor hasn't covered yet, in list order
+export function unsent(events, cursor) {
+  return events.filter(({ mark }) =>
+    (mark.play !== undefined && mark.play > cursor.play) ||
+    (mark.period !== undefined && mark.period > cursor.periods) ||
+    (mark.live && !cursor.live) ||
+    (mark.final && !cursor.final));
+}
+
+// Cursor after sending one event
+export function advance(cursor, { mark }) {
+  return {
+    play: mark.play !== undefined ? Math.max(cursor.play, mark.play) : cursor.play,
+    periods: mark.period !== undefined ? Math.max(cursor.periods, mark.period) : cursor.periods,
+    live: cursor.live || !!mark.live,
+    final: cursor.final || !!mark.final,
+  };
+}
+
+// One SSE message; no id → the client's Last-Event-ID is unchanged
+export function sseMessage(type, data, id = null) {
+  return `${id === null ? "" : `id: ${id}\n`}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// ------------------------------------------------------------
+// BOX SCORE LINES
+// ------------------------------------------------------------
+const LINE_FIELDS = [
+  "minutes", "points", "two_points_made", "two_points_attempted", "three_points_made", "three_points_attempted",
+  "free_throws_made", "free_throws_attempted", "total_rebounds", "assists", "steals", "turnovers",
+  "blocks_favour", "fouls_committed", "pir", "plus_minus",
+];
+
+// extractPlayers() rows → Map personCode → compact line
+export function boxLines(rows) {
+  const lines = new Map();
+  for (const row of rows) {
+    const line = { personCode: cleanCode(row.person_code), playerName: row.player_name, teamCode: cleanCode(row.team_code) };
+    for (const field of LINE_FIELDS) line[field] = row[field];
+    lines.set(line.personCode, line);
+  }
+  return lines;
+}
+
+// Lines that are new or changed since `seen`: [{ personCode, playerName,
+// teamCode, changes: { field: { from, to } } }] (all fields when new)
+export function lineChanges(seen, lines) {
+  const changed = [];
+  for (const [personCode, line] of lines) {
+    const { personCode: _, playerName, teamCode, ...stats } = line;
+    const before = seen.get(personCode);
+    const changes = before
+      ? diffRow(before, stats)
+      : Object.fromEntries(Object.entries(stats).map(([field, to]) => [field, { from: null, to }]));
+    if (changes) changed.push({ personCode, playerName, teamCode, changes });
+  }
+  return changed;
+}
@@ -0,0 +1,122 @@
+// ============================================================
+// MATCHUP PREVIEW
+// Head-to-head meetings, the next scheduled meeting and key
+// players for two clubs, from season game lists and player_stats
+// rows. Team form and averages come from lib/team.js.
+// ============================================================
+
+import { cleanCode } from "./pbp.js";
+import { isFinal, isLive } from "./upstream.js";
+import { gameLog, statLine } from "./player.js";
+
+const round = (n, digits = 1) => (Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null);
+
+const sides = (g) => [cleanCode(g.local?.club?.code), cleanCode(g.road?.club?.code)];
+const between = (g, a, b) => {
+  const [home, road] = sides(g);
+  return (home === a && road === b) || (home === b && road === a);
+};
+const byDate = (a, b) => String(a.date || "").localeCompare(String(b.date || "")) || a.gameCode - b.gameCode;
+
+// Finished games between a and b in one season's game list, oldest first
+export function meetings(games, seasonCode, a, b) {
+  return games
+    .filter(g => isFinal(g) && between(g, a, b))
+    .map(g => {
+      const [home, road] = sides(g);
+      const homeScore = Number(g.local?.score) || 0;
+      const roadScore = Number(g.road?.score) || 0;
+      return {
+        seasonCode,
+        gameCode: g.gameCode,
+        round: g.round ?? null,
+        roundAlias: g.roundAlias || null,
+        phase: g.phaseType?.code ?? null,
+        date: g.utcDate || g.date || null,
+        home,
+        road,
+        homeScore,
+        roadScore,
+        winner: homeScore > roadScore ? home : road,
+      };
+    })
+    .sort(byDate);
+}
+
+// Meetings → record from a's point of view (newest meeting first)
+export function headToHead(list, a, b) {
+  const pointsOf = (m, code) => (m.home === code ? m.homeScore : m.roadScore);
+  const winsA = list.filter(m => m.winner === a).length;
+  const pointsA = list.reduce((s, m) => s + pointsOf(m, a), 0);
+  const pointsB = list.reduce((s, m) => s + pointsOf(m, b), 0);
+  const n = list.length;
+  return {
+    games: n,
+    wins: { [a]: winsA, [b]: n - winsA },
+    homeWins: list.filter(m => m.winner === m.home).length,
+    pointsPerGame: { [a]: n ? round(pointsA / n) : null, [b]: n ? round(pointsB / n) : null },
+    averageMargin: n ? round((pointsA - pointsB) / n) : null,
+    last: list[n - 1] || null,
+    meetings: [...list].reverse(),
+  };
+}
+
+// The next scheduled (or live) game between a and b, if any
+export function nextMeeting(games, a, b) {
+  const g = games
+    .filter(g => !isFinal(g) && between(g, a, b))
+    .sort((x, y) => String(x.utcDate || x.date || "").localeCompare(String(y.utcDate || y.date || "")) || x.gameCode - y.gameCode)[0];
+  if (!g) return null;
+  const [home, road] = sides(g);
+  return {
+    gameNumber: g.gameCode,
+    round: g.round ?? null,
+    roundAlias: g.roundAlias || null,
+    date: g.utcDate || g.date || null,
+    status: isLive(g) ? "Live" : (g.gameStatus || "Scheduled"),
+    home,
+    road,
+    venue: g.venue?.name || null,
+  };
+}
+
+// Most-used players who appeared in the team's last `window` games,
+// with season averages and their `recent` latest lines
+export function keyPlayers(rows, games, teamCode, { limit = 3, window = 5, recent = 3 } = {}) {
+  const mine = rows.filter(r => cleanCode(r.team_code) === teamCode && r.person_code);
+  const lastGames = new Set([...new Set(mine.map(r => r.game_code))].sort((x, y) => x - y).slice(-window));
+  const candidates = new Map();
+  for (const r of mine) {
+    if (!lastGames.has(r.game_code) || !(Number(r.minutes_decimal) > 0)) continue;
+    candidates.set(cleanCode(r.person_code), r);
+  }
+
+  return [...candidates.entries()]
+    .map(([personCode, latest]) => {
+      const log = gameLog(mine, personCode, games);
+      const line = statLine(log);
+      return {
+        personCode,
+        name: latest.player_name,
+        dorsal: latest.dorsal,
+        position: latest.position,
+        games: line.games,
+        perGame: line.perGame,
+        shooting: line.shooting,
+        recent: log.filter(r => !r.dnp).slice(-recent).reverse().map(r => ({
+          gameCode: r.game_code,
+          date: r.game_date,
+          opponent: r.opponent_code,
+          location: r.location,
+          result: r.result,
+          minutes: round(Number(r.minutes_decimal)),
+          points: r.points,
+          rebounds: r.total_rebounds,
+          assists: r.assists,
+          pir: r.pir,
+        })),
+      };
+    })
+    .sort((x, y) => (y.perGame.minutes ?? 0) - (x.perGame.minutes ?? 0))
+    .slice(0, limit);
+}
@@ -0,0 +1,348 @@
+// ============================================================
+// NORMALIZED SCHEMA — shape=normalized
+// One stable, versioned shape for games, box scores, players and
+// standings, whatever the competition (E, U, J). Built on the
+// flat rows of lib/transform.js — the only code that reads
+// EuroLeague's field names (local/road, partials1, assistances,
+// foulsCommited, …) — so an upstream rename is fixed in one
+// transform and every shape=normalized client keeps working.
+//
+// Conventions:
+//   - camelCase keys; home / road instead of local / road
+//   - club and person codes trimmed, "P" prefix dropped (cleanCode)
+//   - missing values are null, never absent
+//   - shooting as { made, attempted, pct }, pct 0–100, one decimal
+//   - minutes as decimal minutes
+//
+// SCHEMA_VERSION changes only when a field is renamed, removed or
+// changes meaning; new fields keep the version. Responses carry it
+// in _meta.schemaVersion. NORMALIZED_SCHEMAS is the same contract
+// as JSON Schema (served in /api/openapi.json).
+// ============================================================
+
+import { transformGame, transformPlayerStats, transformStanding, transformPerson } from "./transform.js";
+import { sumRows } from "./advanced.js";
+import { gameState } from "./upstream.js";
+import { cleanCode, pick } from "./pbp.js";
+
+export const SCHEMA_VERSION = 1;
+export const SHAPES = ["raw", "normalized"];
+
+const round = (n, digits) => {
+  if (n === null || n === undefined || !Number.isFinite(Number(n))) return null;
+  const f = 10 ** digits;
+  return Math.round(Number(n) * f) / f;
+};
+const shot = (made, attempted) => ({
+  made: made ?? 0,
+  attempted: attempted ?? 0,
+  pct: attempted > 0 ? round((made / attempted) * 100, 1) : null,
+});
+
+// _meta for a normalized response
+export function normalizedMeta(meta = {}) {
+  return { ...meta, shape: "normalized", schemaVersion: SCHEMA_VERSION };
+}
+
+// ------------------------------------------------------------
+// GAMES — from transformGame() rows
+// ------------------------------------------------------------
+// Quarters, then overtimes in order; trailing unplayed periods dropped
+function periodsOf(row, side) {
+  const ot = row[`${side}_ot`] || {};
+  const periods = [1, 2, 3, 4].map(q => row[`${side}_q${q}`] ?? null);
+  for (const key of Object.keys(ot).sort((a, b) => a - b)) periods.push(ot[key] ?? null);
+  while (periods.length > 0 && periods[periods.length - 1] === null) periods.pop();
+  return periods;
+}
+
+function gameSide(row, side, status) {
+  return {
+    code: cleanCode(row[`${side}_code`]),
+    name: row[`${side}_name`],
+    fullName: row[`${side}_full_name`],
+    tvCode: row[`${side}_tv_code`],
+    logo: row[`${side}_logo`],
+    score: status === "Scheduled" ? null : row[`${side}_score`],
+    periods: periodsOf(row, side),
+  };
+}
+
+export function normalizeGameRow(row) {
+  const status = gameState({ gameStatus: row.game_status, played: row.played });
+  const home = gameSide(row, "local", status);
+  const road = gameSide(row, "road", status);
+  return {
+    id: `${row.season_code}:${row.game_code}`,
+    competition: row.competition,
+    seasonCode: row.season_code,
+    gameCode: row.game_code,
+    round: row.round === null ? null : Number(row.round),
+    roundAlias: row.round_alias,
+    status,
+    startsAt: row.game_date,
+    venue: row.venue_name,
+    audience: row.audience,
+    home,
+    road,
+    winner: status === "Played" && home.score !== road.score ? (home.score > road.score ? home.code : road.code) : null,
+  };
+}
+
+// Upstream game (/games list entry or /games/{n}) → normalized game
+export function normalizeGame(game, seasonCode, competition) {
+  return normalizeGameRow(transformGame(game, seasonCode, competition));
+}
+
+// ------------------------------------------------------------
+// STAT LINES — from player_stats rows (or sumRows totals)
+// ------------------------------------------------------------
+export function normalizeStats(r) {
+  return {
+    minutes: round(r.minutes_decimal, 2),
+    points: r.points ?? 0,
+    fieldGoals: shot(r.field_goals_made, r.field_goals_attempted),
+    twoPoints: shot(r.two_points_made, r.two_points_attempted),
+    threePoints: shot(r.three_points_made, r.three_points_attempted),
+    freeThrows: shot(r.free_throws_made, r.free_throws_attempted),
+    rebounds: { offensive: r.offensive_rebounds ?? 0, defensive: r.defensive_rebounds ?? 0, total: r.total_rebounds ?? 0 },
+    assists: r.assists ?? 0,
+    steals: r.steals ?? 0,
+    turnovers: r.turnovers ?? 0,
+    blocks: { made: r.blocks_favour ?? 0, received: r.blocks_against ?? 0 },
+    fouls: { committed: r.fouls_committed ?? 0, received: r.fouls_received ?? 0 },
+    pir: r.pir ?? 0,
+    plusMinus: r.plus_minus ?? null,
+  };
+}
+
+// One player's line in one game (player_stats row)
+export function normalizePlayerLine(r) {
+  return {
+    personCode: cleanCode(r.person_code),
+    name: r.player_name,
+    alias: r.player_alias,
+    teamCode: cleanCode(r.team_code),
+    side: r.is_local ? "home" : "road",
+    dorsal: r.dorsal,
+    position: r.position,
+    starter: r.is_starter === true,
+    played: Number(r.minutes_decimal) > 0,
+    stats: normalizeStats(r),
+  };
+}
+
+// One gameLog() row (lib/player.js): the line + its game's context
+export function normalizeLogEntry(r) {
+  return {
+    seasonCode: r.season_code,
+    gameCode: r.game_code,
+    round: r.round === null || r.round === undefined ? null : Number(r.round),
+    date: r.game_date,
+    opponent: { code: r.opponent_code, name: r.opponent_name },
+    score: { team: r.team_score, opponent: r.opponent_score },
+    result: r.result,
+    ...normalizePlayerLine(r),
+  };
+}
+
+// ------------------------------------------------------------
+// BOX SCORE — player_stats rows + the game's transformGame row
+// (null when the header is unavailable)
+// ------------------------------------------------------------
+export function normalizeBoxscore(rows, gameRow) {
+  const game = gameRow ? normalizeGameRow(gameRow) : null;
+  const teams = {};
+  for (const side of ["home", "road"]) {
+    const own = rows.filter(r => (side === "home") === Boolean(r.is_local));
+    const first = own[0] || {};
+    teams[side] = {
+      code: cleanCode(first.team_code) ?? game?.[side].code ?? null,
+      name: first.team_name ?? game?.[side].name ?? null,
+      tvCode: first.team_tv_code ?? game?.[side].tvCode ?? null,
+      score: game?.[side].score ?? null,
+      totals: own.length ? normalizeStats(sumRows(own)) : null,
+    };
+  }
+  return { game, teams, players: rows.map(normalizePlayerLine) };
+}
+
+// ------------------------------------------------------------
+// STANDINGS — upstream /standings entries
+// ------------------------------------------------------------
+// "WWLWL", ["W","L",…] or [{ result: "W" }, …] → ["W","W","L",…]
+function formOf(form) {
+  if (!form) return [];
+  const list = Array.isArray(form) ? form : String(form).split("");
+  return list.map(f => String(typeof f === "object" ? pick(f, "result", "value") ?? "" : f).trim().toUpperCase()).filter(Boolean);
+}
+
+export function normalizeStandingRow(row) {
+  return {
+    position: row.position === null ? null : Number(row.position),
+    group: row.group_name,
+    team: {
+      code: cleanCode(row.team_code),
+      name: row.team_name,
+      fullName: row.team_full_name,
+      tvCode: row.team_tv_code,
+      logo: row.team_logo,
+    },
+    games: { played: row.games_played, won: row.games_won, lost: row.games_lost },
+    winPct: row.games_played > 0 ? round((row.games_won / row.games_played) * 100, 1) : null,
+    points: { for: row.points_for, against: row.points_against, diff: row.points_diff },
+    records: { home: row.home_record, road: row.road_record, lastTen: row.last_ten_record },
+    form: formOf(row.form),
+  };
+}
+
+export function normalizeStandings(entries, seasonCode, competition) {
+  return entries.map(e => normalizeStandingRow(transformStanding(e, seasonCode, competition)));
+}
+
+// ------------------------------------------------------------
+// PLAYERS — /persons profile + /people/{code}/stats
+// ------------------------------------------------------------
+export function normalizePerson(profile) {
+  const row = transformPerson(profile || {});
+  return {
+    personCode: cleanCode(row.person_code),
+    name: row.name,
+    alias: row.alias,
+    jerseyName: row.jersey_name,
+    country: row.country_code ? { code: row.country_code, name: row.country_name } : null,
+    birthDate: row.birth_date,
+    height: row.height,
+    weight: row.weight,
+    headshot: row.headshot,
+  };
+}
+
+// Season stats blocks use the box score's stat names, so they go
+// through transformPlayerStats like a game line would
+export function normalizeSeasonStats(raw) {
+  if (!raw) return null;
+  const totals = pick(raw, "accumulated", "totals");
+  const perGame = pick(raw, "averagePerGame", "averages", "perGame");
+  const line = (stats) => (stats ? normalizeStats(transformPlayerStats({ stats }, {})) : null);
+  return {
+    games: pick(totals || {}, "gamesPlayed", "games") ?? pick(raw, "gamesPlayed", "games"),
+    starts: pick(totals || {}, "gamesStarted", "startFive") ?? pick(raw, "gamesStarted"),
+    totals: line(totals),
+    perGame: line(perGame),
+  };
+}
+
+// ------------------------------------------------------------
+// JSON SCHEMA (components in /api/openapi.json)
+// ------------------------------------------------------------
+const nullable = (schema) => ({ ...schema, nullable: true });
+const INT = { type: "integer" };
+const STR = { type: "string" };
+const SHOT = {
+  type: "object",
+  properties: { made: INT, attempted: INT, pct: nullable({ type: "number" }) },
+};
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const NORMALIZED_SCHEMAS = {
+  GameSide: {
+    type: "object",
+    properties: {
+      code: nullable(STR), name: nullable(STR), fullName: nullable(STR), tvCode: nullable(STR), logo: nullable(STR),
+      score: nullable(INT),
+      periods: { type: "array", items: nullable(INT), description: "Points per period: Q1–Q4, then overtimes" },
+    },
+  },
+  Game: {
+    type: "object",
+    properties: {
+      id: { type: "string", example: "E2025:12" },
+      competition: { type: "string", enum: ["E", "U", "J"] },
+      seasonCode: STR,
+      gameCode: INT,
+      round: nullable(INT),
+      roundAlias: nullable(STR),
+      status: { type: "string", enum: ["Scheduled", "Live", "Played"] },
+      startsAt: nullable({ type: "string", format: "date-time" }),
+      venue: nullable(STR),
+      audience: nullable(INT),
+      home: ref("GameSide"),
+      road: ref("GameSide"),
+      winner: nullable({ type: "string", description: "Winning club code once Played" }),
+    },
+  },
+  Stats: {
+    type: "object",
+    properties: {
+      minutes: nullable({ type: "number" }), points: INT,
+      fieldGoals: SHOT, twoPoints: SHOT, threePoints: SHOT, freeThrows: SHOT,
+      rebounds: { type: "object", properties: { offensive: INT, defensive: INT, total: INT } },
+      assists: INT, steals: INT, turnovers: INT,
+      blocks: { type: "object", properties: { made: INT, received: INT } },
+      fouls: { type: "object", properties: { committed: INT, received: INT } },
+      pir: INT,
+      plusMinus: nullable(INT),
+    },
+  },
+  PlayerLine: {
+    type: "object",
+    properties: {
+      personCode: STR, name: nullable(STR), alias: nullable(STR), teamCode: nullable(STR),
+      side: { type: "string", enum: ["home", "road"] },
+      dorsal: nullable(STR), position: nullable(STR), starter: { type: "boolean" }, played: { type: "boolean" },
+      stats: ref("Stats"),
+    },
+  },
+  Boxscore: {
+    type: "object",
+    properties: {
+      game: nullable(ref("Game")),
+      teams: {
+        type: "object",
+        properties: Object.fromEntries(["home", "road"].map(side => [side, {
+          type: "object",
+          properties: { code: nullable(STR), name: nullable(STR), tvCode: nullable(STR), score: nullable(INT), totals: nullable(ref("Stats")) },
+        }])),
+      },
+      players: { type: "array", items: ref("PlayerLine") },
+    },
+  },
+  Standing: {
+    type: "object",
+    properties: {
+      position: nullable(INT),
+      group: nullable(STR),
+      team: { type: "object", properties: { code: nullable(STR), name: nullable(STR), fullName: nullable(STR), tvCode: nullable(STR), logo: nullable(STR) } },
+      games: { type: "object", properties: { played: INT, won: INT, lost: INT } },
+      winPct: nullable({ type: "number" }),
+      points: { type: "object", properties: { for: INT, against: INT, diff: INT } },
+      records: { type: "object", properties: { home: nullable(STR), road: nullable(STR), lastTen: nullable(STR) } },
+      form: { type: "array", items: { type: "string", enum: ["W", "L"] }, description: "Latest results" },
+      tiebreak: nullable({ type: "string", description: "computed=true: the criterion that placed a team tied on wins" }),
+    },
+  },
+  Person: {
+    type: "object",
+    properties: {
+      personCode: STR, name: nullable(STR), alias: nullable(STR), jerseyName: nullable(STR),
+      country: nullable({ type: "object", properties: { code: STR, name: nullable(STR) } }),
+      birthDate: nullable(STR), height: nullable({ type: "number" }), weight: nullable({ type: "number" }), headshot: nullable(STR),
+    },
+  },
+  LogEntry: {
+    allOf: [ref("PlayerLine"), {
+      type: "object",
+      properties: {
+        seasonCode: STR, gameCode: INT, round: nullable(INT), date: nullable(STR),
+        opponent: { type: "object", properties: { code: nullable(STR), name: nullable(STR) } },
+        score: { type: "object", properties: { team: nullable(INT), opponent: nullable(INT) } },
+        result: nullable({ type: "string", enum: ["W", "L"] }),
+      },
+    }],
+  },
+  SeasonStats: {
+    type: "object",
+    properties: { games: nullable(INT), starts: nullable(INT), totals: nullable(ref("Stats")), perGame: nullable(ref("Stats")) },
+  },
+};
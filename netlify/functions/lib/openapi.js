@@ -0,0 +1,168 @@
+// ============================================================
+// OPENAPI SPEC
+// Built from the route registry (lib/routes.js), so the spec,
+// the validation and the tester can't drift apart. Served by
+// /api/openapi.json; feed it to any OpenAPI client generator.
+// ============================================================
+
+import { ROUTES, API_VERSION } from "./routes.js";
+import { NORMALIZED_SCHEMAS, SCHEMA_VERSION } from "./normalize.js";
+import { KEYED_SCOPES } from "./auth.js";
+
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    timestamp: { type: "string", format: "date-time" },
+  },
+  required: ["error"],
+};
+
+const PARAM_ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { type: "string" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          param: { type: "string" },
+          message: { type: "string" },
+          value: { type: "string", nullable: true },
+          suggestion: { type: "string", nullable: true, description: "Closest valid value, when there is one" },
+        },
+      },
+    },
+    timestamp: { type: "string", format: "date-time" },
+  },
+  required: ["error", "errors"],
+};
+
+// Registry param spec → OpenAPI schema
+function schemaFor(spec) {
+  const schema = {};
+  if (spec.type === "list") {
+    const items = { type: spec.items === "integer" ? "integer" : "string" };
+    if (spec.enum) items.enum = spec.enum;
+    if (spec.pattern) items.pattern = spec.pattern.source;
+    return { type: "array", items };
+  }
+  schema.type = spec.type;
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.default !== undefined) schema.default = spec.default;
+  return schema;
+}
+
+// Registry examples are query-string text; the spec wants typed values
+function exampleFor(spec) {
+  const one = (v, type) => (type === "integer" || type === "number" ? Number(v) : v);
+  if (spec.type === "list") return spec.example.split(",").map(v => one(v, spec.items));
+  return one(spec.example, spec.type);
+}
+
+function parameterFor(name, spec) {
+  const param = {
+    name,
+    in: "query",
+    required: spec.required === true,
+    schema: schemaFor(spec),
+  };
+  if (spec.description) param.description = spec.description;
+  if (spec.example !== undefined) param.example = exampleFor(spec);
+  // Lists are comma-separated (?games=1,2,3), not repeated
+  if (spec.type === "list") Object.assign(param, { style: "form", explode: false });
+  return param;
+}
+
+// "sync" → "getSync", "/api/pbp/analysis" → "getPbpAnalysis"
+function operationId(path) {
+  const words = path.replace(/^\/api\//, "").replace(/\.json$/, "").split(/[/-]/);
+  return "get" + words.map(w => w[0].toUpperCase() + w.slice(1)).join("");
+}
+
+function operationFor(route) {
+  const scope = route.scope || "read";
+  const responses = {
+    200: { description: "OK", content: { "application/json": { schema: { type: "object" } } } },
+  };
+  // format=csv|tsv|ndjson (lib/format.js)
+  if (route.params.format) {
+    Object.assign(responses[200].content, {
+      "text/csv": { schema: { type: "string" } },
+      "text/tab-separated-values": { schema: { type: "string" } },
+      "application/x-ndjson": { schema: { type: "string" } },
+    });
+  }
+  // Server-Sent Events (/api/live/stream)
+  if (route.stream) {
+    responses[200] = { description: "Event stream", content: { "text/event-stream": { schema: { type: "string" } } } };
+    responses[204] = { description: "Every game final and already delivered" };
+  }
+  if (Object.keys(route.params).length > 0) {
+    responses[400] = { description: "Invalid parameters", content: { "application/json": { schema: { $ref: "#/components/schemas/ParamError" } } } };
+  }
+  if (scope !== "public") {
+    responses[401] = { $ref: "#/components/responses/Unauthorized" };
+    responses[403] = { $ref: "#/components/responses/Forbidden" };
+    responses[429] = { $ref: "#/components/responses/RateLimited" };
+  }
+  if (route.path !== "/api/health" && route.path !== "/api/openapi.json") {
+    responses[502] = { $ref: "#/components/responses/Upstream" };
+  }
+
+  const operation = {
+    operationId: operationId(route.path),
+    summary: route.summary,
+    description: route.description,
+    parameters: Object.entries(route.params).map(([name, spec]) => parameterFor(name, spec)),
+    responses,
+  };
+  if (route.oneOf) {
+    operation.description += `. Requires one of: ${route.oneOf.map(g => g.join(" or ")).join("; ")}`;
+  }
+  // shape=normalized items follow a component schema (lib/normalize.js)
+  if (route.normalized) {
+    operation.description += `. shape=normalized returns schema v${SCHEMA_VERSION} (${route.normalized})`;
+    operation["x-normalized-schema"] = `#/components/schemas/${route.normalized}`;
+  }
+  if (route.cacheTtl) operation["x-cache-ttl"] = route.cacheTtl;
+  operation["x-scope"] = scope;
+  // Read keys are optional until the deployment configures some;
+  // sync and admin always need one (unless AUTH_DISABLED)
+  const keys = [{ apiKeyHeader: [] }, { bearer: [] }];
+  operation.security = scope === "public" ? [] : KEYED_SCOPES.includes(scope) ? keys : [...keys, {}];
+  return operation;
+}
+
+export function buildSpec({ serverUrl = "/", version = API_VERSION } = {}) {
+  const paths = {};
+  for (const route of ROUTES) paths[route.path] = { get: operationFor(route) };
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "bball-api",
+      version,
+      description: "EuroLeague, EuroCup and NextGen data: games, box scores, play-by-play, lineups, leaderboards, teams and players.",
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA, ParamError: PARAM_ERROR_SCHEMA, ...NORMALIZED_SCHEMAS },
+      responses: {
+        Unauthorized: { description: "Missing or invalid API key", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        Forbidden: { description: "Key lacks the scope or origin", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        RateLimited: { description: "Rate limit exceeded (see Retry-After)", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+        Upstream: { description: "EuroLeague error, outage (503) or timeout (504)", content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } },
+      },
+      securitySchemes: {
+        apiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+        bearer: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+}
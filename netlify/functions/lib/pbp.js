@@ -0,0 +1,329 @@
+// ============================================================
+// PLAY-BY-PLAY PARSING + ANALYSIS
+// One parser for the playbyplay feed so every consumer agrees
+// on possessions, runs and margins.
+//
+// The feed comes in two layouts:
+//   { data: [play, …] }                         (v2 list)
+//   { FirstQuarter: [...], ..., ExtraTime: [...] } (classic live feed)
+// and uses either camelCase or UPPER_SNAKE field names.
+// normalizePlays() flattens both into:
+//   { id, period, clock, elapsed, teamCode, personCode, playerName,
+//     playType, info, localScore, roadScore }
+// ============================================================
+
+const PERIOD_KEYS = ["FirstQuarter", "SecondQuarter", "ThirdQuarter", "ForthQuarter", "ExtraTime"];
+
+export const REGULATION_PERIODS = 4;
+const PERIOD_SECONDS = 600;
+const OT_SECONDS = 300;
+
+// Play types where the acting team has the ball…
+const OFFENSE_PLAYS = new Set(["2FGM", "2FGA", "3FGM", "3FGA", "FTM", "FTA", "TO", "O", "AS", "AG", "OF"]);
+// …and where the acting team is defending
+const DEFENSE_PLAYS = new Set(["D", "ST", "FV"]);
+
+export const SUB_IN = "IN";
+export const SUB_OUT = "OUT";
+
+export function pick(obj, ...keys) {
+  for (const k of keys) {
+    if (obj?.[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+  }
+  return null;
+}
+
+// Upstream codes are padded ("MAD ") and player ids sometimes prefixed ("P003733")
+export function cleanCode(code) {
+  if (code === null || code === undefined) return null;
+  const s = String(code).trim();
+  if (!s) return null;
+  return s.replace(/^P(?=\d+$)/, "");
+}
+
+export function periodLength(period) {
+  return period > REGULATION_PERIODS ? OT_SECONDS : PERIOD_SECONDS;
+}
+
+export function periodStart(period) {
+  const regulation = Math.min(period - 1, REGULATION_PERIODS) * PERIOD_SECONDS;
+  const overtime = Math.max(0, period - 1 - REGULATION_PERIODS) * OT_SECONDS;
+  return regulation + overtime;
+}
+
+// "09:45" (time remaining in the period) → seconds remaining
+function parseClock(clock) {
+  if (typeof clock === "number") return clock;
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(clock || "").trim());
+  return m ? parseInt(m[1]) * 60 + parseInt(m[2]) : null;
+}
+
+export function formatClock(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${String(Math.floor(s / 60)).padStart(2, "0")}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function rawPlays(feed) {
+  if (Array.isArray(feed)) return feed;
+  if (Array.isArray(feed?.data)) return feed.data;
+  if (Array.isArray(feed?.plays)) return feed.plays;
+
+  const out = [];
+  PERIOD_KEYS.forEach((key, i) => {
+    let period = i + 1;
+    let seenStart = false;
+    for (const play of feed?.[key] || []) {
+      // ExtraTime holds every overtime; each one opens with a "BP"
+      if (key === "ExtraTime" && String(play.PLAYTYPE || "").trim() === "BP") {
+        if (seenStart) period++;
+        seenStart = true;
+      }
+      out.push({ ...play, _period: period });
+    }
+  });
+  return out;
+}
+
+export function normalizePlays(feed) {
+  const plays = [];
+  let localScore = 0;
+  let roadScore = 0;
+  let lastRemaining = PERIOD_SECONDS;
+  let lastPeriod = 1;
+
+  rawPlays(feed).forEach((p, index) => {
+    const period = parseInt(pick(p, "period", "quarter", "QUARTER", "_period")) || lastPeriod;
+    if (period !== lastPeriod) lastRemaining = periodLength(period);
+    const remaining = parseClock(pick(p, "markerTime", "MARKERTIME", "clock")) ?? lastRemaining;
+
+    const a = pick(p, "pointsA", "POINTS_A", "localScore", "scoreA");
+    const b = pick(p, "pointsB", "POINTS_B", "roadScore", "scoreB");
+    if (a !== null) localScore = parseInt(a) || 0;
+    if (b !== null) roadScore = parseInt(b) || 0;
+
+    plays.push({
+      id: parseInt(pick(p, "numberOfPlay", "NUMBEROFPLAY", "playNumber", "id")) || index + 1,
+      period,
+      clock: formatClock(remaining),
+      elapsed: periodStart(period) + (periodLength(period) - remaining),
+      teamCode: cleanCode(pick(p, "teamCode", "CODETEAM") ?? p.team?.code),
+      personCode: cleanCode(pick(p, "playerCode", "PLAYER_ID") ?? p.player?.person?.code ?? p.player?.code),
+      playerName: pick(p, "playerName", "PLAYER") ?? p.player?.person?.name ?? null,
+      playType: String(pick(p, "playType", "PLAYTYPE", "type") || "").trim(),
+      info: pick(p, "playInfo", "PLAYINFO", "info"),
+      localScore,
+      roadScore,
+    });
+
+    lastPeriod = period;
+    lastRemaining = remaining;
+  });
+
+  return plays;
+}
+
+// Team codes for each side, from the game header or the classic feed header
+export function sideCodes(game, feed) {
+  return {
+    local: cleanCode(game?.local?.club?.code ?? feed?.CodeTeamA),
+    road: cleanCode(game?.road?.club?.code ?? feed?.CodeTeamB),
+  };
+}
+
+function sideOf(teamCode, codes) {
+  if (!teamCode) return null;
+  if (teamCode === codes.local) return "local";
+  if (teamCode === codes.road) return "road";
+  return null;
+}
+
+const other = (side) => (side === "local" ? "road" : "local");
+
+// Which side has the ball for this play (null for neutral events)
+export function offenseSide(play, codes) {
+  const side = sideOf(play.teamCode, codes);
+  if (!side) return null;
+  if (OFFENSE_PLAYS.has(play.playType)) return side;
+  if (DEFENSE_PLAYS.has(play.playType)) return other(side);
+  return null;
+}
+
+// ------------------------------------------------------------
+// POSSESSIONS
+// A possession is a maximal run of plays with the same team on
+// offense inside one period; offensive rebounds extend it.
+// Points come from running-score deltas, so and-ones and
+// technical free throws land where the score actually moved.
+// ------------------------------------------------------------
+export function buildPossessions(plays, codes) {
+  const possessions = [];
+  let current = null;
+  let prev = { localScore: 0, roadScore: 0 };
+
+  for (const play of plays) {
+    const offense = offenseSide(play, codes);
+    if (offense && (!current || current.side !== offense || current.period !== play.period)) {
+      current = {
+        side: offense,
+        team: codes[offense],
+        period: play.period,
+        start: play.clock,
+        end: play.clock,
+        startElapsed: play.elapsed,
+        points: 0,
+        plays: 0,
+      };
+      possessions.push(current);
+    }
+
+    const scored = { local: play.localScore - prev.localScore, road: play.roadScore - prev.roadScore };
+    if (current) {
+      current.end = play.clock;
+      current.endElapsed = play.elapsed;
+      if (offense) current.plays++;
+      if (scored[current.side] > 0) current.points += scored[current.side];
+    }
+    prev = play;
+  }
+
+  return possessions;
+}
+
+function possessionSummary(possessions, side) {
+  const own = possessions.filter(p => p.side === side);
+  const points = own.reduce((sum, p) => sum + p.points, 0);
+  return {
+    possessions: own.length,
+    points,
+    pointsPerPossession: own.length ? Math.round((points / own.length) * 1000) / 1000 : null,
+    scoringPossessions: own.filter(p => p.points > 0).length,
+  };
+}
+
+// ------------------------------------------------------------
+// FULL ANALYSIS
+// ------------------------------------------------------------
+export function analyzePlays(plays, codes, { minRun = 8, includePossessions = false } = {}) {
+  const scoring = [];
+  let prev = { localScore: 0, roadScore: 0 };
+  for (const play of plays) {
+    if (play.localScore !== prev.localScore || play.roadScore !== prev.roadScore) {
+      scoring.push({
+        play,
+        before: { localScore: prev.localScore, roadScore: prev.roadScore },
+        local: Math.max(0, play.localScore - prev.localScore),
+        road: Math.max(0, play.roadScore - prev.roadScore),
+      });
+      prev = play;
+    }
+  }
+
+  const lastPeriod = plays.reduce((max, p) => Math.max(max, p.period), REGULATION_PERIODS);
+  const gameLength = periodStart(lastPeriod) + periodLength(lastPeriod);
+  const endElapsed = Math.min(gameLength, Math.max(...plays.map(p => p.elapsed), 0));
+  const point = (p) => ({
+    period: p.period,
+    clock: p.clock,
+    elapsed: p.elapsed,
+    localScore: p.localScore,
+    roadScore: p.roadScore,
+    margin: p.localScore - p.roadScore,
+  });
+
+  // Margin timeline — one point per score change, plus tip-off and the end
+  const timeline = [{ period: 1, clock: formatClock(PERIOD_SECONDS), elapsed: 0, localScore: 0, roadScore: 0, margin: 0 }];
+  for (const s of scoring) timeline.push(point(s.play));
+  const last = plays[plays.length - 1];
+  if (last && timeline[timeline.length - 1].elapsed < endElapsed) timeline.push({ ...point(last), elapsed: endElapsed });
+
+  // Lead changes, ties, largest leads, time leading
+  let leadChanges = 0;
+  let ties = 0;
+  let lastLeader = null;
+  const largestLead = { local: null, road: null };
+  const timeLeading = { local: 0, road: 0, tied: 0 };
+
+  for (let i = 0; i < timeline.length; i++) {
+    const t = timeline[i];
+    const state = t.margin > 0 ? "local" : t.margin < 0 ? "road" : "tied";
+    const until = i + 1 < timeline.length ? timeline[i + 1].elapsed : endElapsed;
+    timeLeading[state] += Math.max(0, until - t.elapsed);
+
+    if (i === 0) continue;
+    if (state === "tied") {
+      ties++;
+    } else {
+      if (lastLeader && lastLeader !== state) leadChanges++;
+      lastLeader = state;
+      const lead = Math.abs(t.margin);
+      if (!largestLead[state] || lead > largestLead[state].points) {
+        largestLead[state] = { points: lead, period: t.period, clock: t.clock, score: `${t.localScore}-${t.roadScore}` };
+      }
+    }
+  }
+
+  // Unanswered scoring runs
+  const runs = [];
+  let run = null;
+  for (const s of scoring) {
+    const side = s.local > 0 && s.road === 0 ? "local" : s.road > 0 && s.local === 0 ? "road" : null;
+    if (run && side === run.side) {
+      run.points += s[side];
+      run.end = s.play;
+      continue;
+    }
+    if (run && run.points >= minRun) runs.push(run);
+    run = side ? { side, points: s[side], before: s.before, start: s.play, end: s.play } : null;
+  }
+  if (run && run.points >= minRun) runs.push(run);
+
+  const formattedRuns = runs.map(r => ({
+    team: codes[r.side],
+    side: r.side,
+    points: r.points,
+    run: `${r.points}-0`,
+    from: { period: r.start.period, clock: r.start.clock, score: `${r.before.localScore}-${r.before.roadScore}` },
+    to: { period: r.end.period, clock: r.end.clock, score: `${r.end.localScore}-${r.end.roadScore}` },
+  }));
+
+  const possessions = buildPossessions(plays, codes);
+  const periods = [...new Set(plays.map(p => p.period))].sort((a, b) => a - b).map(period => {
+    const before = plays.filter(p => p.period < period).pop() || { localScore: 0, roadScore: 0 };
+    const end = plays.filter(p => p.period === period).pop();
+    return { period, local: end.localScore - before.localScore, road: end.roadScore - before.roadScore };
+  });
+
+  return {
+    teams: codes,
+    finalScore: last ? { local: last.localScore, road: last.roadScore } : { local: 0, road: 0 },
+    totalPlays: plays.length,
+    periods,
+    possessions: {
+      local: possessionSummary(possessions, "local"),
+      road: possessionSummary(possessions, "road"),
+      ...(includePossessions ? {
+        list: possessions.map(p => ({ team: p.team, period: p.period, start: p.start, end: p.end, points: p.points, plays: p.plays })),
+      } : {}),
+    },
+    leadChanges,
+    ties,
+    largestLead: {
+      local: largestLead.local,
+      road: largestLead.road,
+    },
+    timeLeading: {
+      local: { seconds: timeLeading.local, clock: formatClock(timeLeading.local) },
+      road: { seconds: timeLeading.road, clock: formatClock(timeLeading.road) },
+      tied: { seconds: timeLeading.tied, clock: formatClock(timeLeading.tied) },
+    },
+    runs: {
+      minRun,
+      list: formattedRuns,
+      longest: {
+        local: formattedRuns.filter(r => r.side === "local").sort((a, b) => b.points - a.points)[0] || null,
+        road: formattedRuns.filter(r => r.side === "road").sort((a, b) => b.points - a.points)[0] || null,
+      },
+    },
+    timeline,
+  };
+}
@@ -0,0 +1,112 @@
+// ============================================================
+// PLAYER GAME LOGS + CAREER LINES
+// Built from player_stats rows (transformPlayerStats shape), so
+// a game-log row is exactly what /api/sync stores for that game.
+// DNP rows (no minutes) stay in the log but never count as games.
+// ============================================================
+
+import { sumRows } from "./advanced.js";
+import { cleanCode } from "./pbp.js";
+import { isFinal } from "./upstream.js";
+import { competitionOf } from "./competitions.js";
+
+const round = (n, digits = 1) => (Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null);
+const pct = (made, att) => (att > 0 ? round((made / att) * 100) : null);
+
+// One row per game the player was listed in, joined with the schedule
+export function gameLog(rows, personCode, games = []) {
+  const byGame = new Map(games.map(g => [g.gameCode, g]));
+  return rows
+    .filter(r => cleanCode(r.person_code) === personCode)
+    .sort((a, b) => String(a.game_date || "").localeCompare(String(b.game_date || "")) || a.game_code - b.game_code)
+    .map(r => {
+      const g = byGame.get(r.game_code);
+      const us = g ? (r.is_local ? g.local : g.road) : null;
+      const them = g ? (r.is_local ? g.road : g.local) : null;
+      const final = g ? isFinal(g) : null;
+      return {
+        ...r,
+        dnp: !(Number(r.minutes_decimal) > 0),
+        location: r.is_local ? "home" : "road",
+        opponent_code: cleanCode(them?.club?.code) || null,
+        opponent_name: them?.club?.editorialName || them?.club?.abbreviatedName || null,
+        team_score: us?.score ?? null,
+        opponent_score: them?.score ?? null,
+        result: final && us && them ? (us.score > them.score ? "W" : "L") : null,
+      };
+    });
+}
+
+// Totals + averages + shooting for a set of rows
+export function statLine(rows) {
+  const played = rows.filter(r => Number(r.minutes_decimal) > 0);
+  const t = sumRows(played);
+  const n = played.length;
+  const avg = (v) => (n ? round(v / n) : null);
+  return {
+    games: n,
+    starts: played.filter(r => r.is_starter).length,
+    dnp: rows.length - n,
+    totals: t,
+    perGame: {
+      minutes: avg(t.minutes_decimal),
+      points: avg(t.points),
+      rebounds: avg(t.total_rebounds),
+      assists: avg(t.assists),
+      steals: avg(t.steals),
+      blocks: avg(t.blocks_favour),
+      turnovers: avg(t.turnovers),
+      pir: avg(t.pir),
+    },
+    shooting: {
+      fg_pct: pct(t.field_goals_made, t.field_goals_attempted),
+      two_pct: pct(t.two_points_made, t.two_points_attempted),
+      three_pct: pct(t.three_points_made, t.three_points_attempted),
+      ft_pct: pct(t.free_throws_made, t.free_throws_attempted),
+      ts_pct: pct(t.points, 2 * (t.field_goals_attempted + 0.44 * t.free_throws_attempted)),
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// CAREER
+// One line per season per team. A season with more than one
+// team also gets a combined line with team "TOT" (listed first).
+// ------------------------------------------------------------
+export function careerLines(rows, personCode) {
+  const mine = rows.filter(r => cleanCode(r.person_code) === personCode);
+  const bySeason = new Map();
+  for (const r of mine) {
+    if (!bySeason.has(r.season_code)) bySeason.set(r.season_code, new Map());
+    const teams = bySeason.get(r.season_code);
+    const teamCode = cleanCode(r.team_code);
+    if (!teams.has(teamCode)) teams.set(teamCode, []);
+    teams.get(teamCode).push(r);
+  }
+
+  const seasons = [];
+  for (const [seasonCode, teams] of bySeason) {
+    const all = [...teams.values()].flat();
+    const lines = [...teams.entries()].map(([teamCode, list]) => ({
+      team_code: teamCode,
+      team_name: list[list.length - 1].team_name,
+      first_game: list[0].game_date || null,
+      ...statLine(list),
+    })).sort((a, b) => String(a.first_game || "").localeCompare(String(b.first_game || "")));
+
+    seasons.push({
+      season_code: seasonCode,
+      competition: competitionOf(seasonCode),
+      teams: lines.map(l => l.team_code),
+      lines: lines.length > 1 ? [{ team_code: "TOT", team_name: null, ...statLine(all) }, ...lines] : lines,
+    });
+  }
+
+  return {
+    seasons,
+    career: statLine(mine),
+    byCompetition: Object.fromEntries(
+      [...new Set(mine.map(r => competitionOf(r.season_code)))].map(c => [c, statLine(mine.filter(r => competitionOf(r.season_code) === c))])
+    ),
+  };
+}
@@ -0,0 +1,488 @@
+// ============================================================
+// ROUTE REGISTRY
+// One declarative entry per HTTP endpoint: path, scope, cache
+// TTL and every query param (type, required, default, allowed
+// values). It drives:
+//   - param validation (withRoute → 400 with one error shape)
+//   - the /api/health endpoint list
+//   - /api/openapi.json (lib/openapi.js) and the tester page
+//
+// Param spec:
+//   type      string | integer | number | boolean | list
+//   items     list element type (string | integer), comma-separated
+//   enum      allowed values (compared case-insensitively when
+//             `upper` is set, returned as spelled in the enum)
+//   pattern   RegExp a string (or each list item) must match
+//   min, max  bounds for integer / number
+//   default   applied when the param is absent or empty
+//   required  missing → 400
+//   example   shown in the spec and as the tester placeholder
+//
+// Route flags: oneOf (at least one param of each group),
+// stream (text/event-stream response instead of JSON),
+// normalized (the shape=normalized schema in lib/normalize.js).
+//
+// Unknown params are ignored (apiKey, cache busters, …).
+// ============================================================
+
+import { handleCors, jsonResponse } from "../utils.js";
+import { withAuth, authEnabled } from "./auth.js";
+import { conditional } from "./http-cache.js";
+import { STATS, PER_MODES } from "./leaders.js";
+import { FORMATS } from "./format.js";
+import { EVENT_TYPES } from "./webhooks.js";
+import { SHAPES } from "./normalize.js";
+import { COMPETITIONS, resolveSeason } from "./competitions.js";
+
+export const API_VERSION = "1.2.0";
+export const COMPETITION_CODES = Object.keys(COMPETITIONS);
+
+// ------------------------------------------------------------
+// SHARED PARAMS
+// ------------------------------------------------------------
+const CODE = { type: "string", enum: COMPETITION_CODES, upper: true, default: "E", description: "Competition: E (EuroLeague), U (EuroCup), J (NextGen)" };
+const SEASON = { type: "string", pattern: /^(\d{4}|current)$/, default: "current", description: "Season start year (builds seasonCode as code + season), or current: the season under way", example: "2025" };
+const SEASON_CODE = { type: "string", pattern: /^[A-Z]{1,3}\d{2,4}$/, upper: true, description: "Full season code, overrides code + season (required for NextGen)", example: "JA25" };
+const REFRESH = { type: "boolean", default: false, description: "Bypass the cache and refetch upstream" };
+const GAME_NUMBER = { type: "integer", min: 1, description: "Game code within the season", example: "1" };
+const TEAM_CODE = { type: "string", pattern: /^[A-Z0-9]{2,10}$/, upper: true, description: "Club code", example: "MAD" };
+const FORMAT = { type: "string", enum: FORMATS, default: "json", description: "json, or one row per line as csv / tsv / ndjson (nested fields flattened with _)" };
+const SHAPE = { type: "string", enum: SHAPES, default: "raw", description: "raw: upstream payload + _meta; normalized: bball-api's own versioned schema, the same for E, U and J" };
+const SOURCE = { type: "string", enum: ["auto", "supabase", "upstream"], default: "auto", description: "Where box scores come from: synced Supabase rows or upstream" };
+
+const SEASON_PARAMS = { season: SEASON, code: CODE, seasonCode: SEASON_CODE };
+
+const DATE = { type: "string", pattern: /^\d{4}-\d{2}-\d{2}$/, example: "2025-10-01" };
+
+// List conventions (lib/list.js) — every list endpoint takes these
+const LIST_PARAMS = {
+  fields: { type: "list", items: "string", pattern: /^[A-Za-z0-9_.]+$/, description: "Keep only these dotted paths (csv/tsv: column names)", example: "gameCode,utcDate,local.club.code,road.club.code" },
+  order: { type: "string", enum: ["asc", "desc"], default: "asc", description: "Sort direction on the list's stable key" },
+  limit: { type: "integer", min: 1, max: 500, description: "Page size (all items when omitted)" },
+  offset: { type: "integer", min: 0, default: 0, description: "Items to skip" },
+  cursor: { type: "string", pattern: /^[A-Za-z0-9_-]+$/, description: "pagination.nextCursor from the previous page (wins over offset)" },
+};
+
+// ------------------------------------------------------------
+// ROUTES (listed in this order by /api/health and the tester)
+// ------------------------------------------------------------
+export const ROUTES = [
+  {
+    path: "/api/health",
+    summary: "API status",
+    description: "API status, endpoint list, cache and upstream breaker stats",
+    scope: "public",
+    params: {},
+  },
+  {
+    path: "/api/competitions",
+    summary: "Competitions",
+    description: "Competitions available upstream, with their current season",
+    cacheTtl: 86400,
+    params: { refresh: REFRESH },
+  },
+  {
+    path: "/api/seasons",
+    summary: "Seasons",
+    description: "Seasons of a competition (NextGen: tournaments with names, dates and venues), newest first",
+    cacheTtl: 86400,
+    params: { code: CODE, refresh: REFRESH },
+  },
+  {
+    path: "/api/games",
+    summary: "All season games",
+    description: "Games for a season, filtered and paged, ordered by date then game code",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      teamCode: { ...TEAM_CODE, description: "Games of this club" },
+      side: { type: "string", enum: ["any", "home", "road"], default: "any", description: "With teamCode: only its home or road games" },
+      round: { type: "integer", min: 1 },
+      roundFrom: { type: "integer", min: 1 },
+      roundTo: { type: "integer", min: 1 },
+      dateFrom: { ...DATE, description: "First day (UTC, inclusive)" },
+      dateTo: { ...DATE, description: "Last day (UTC, inclusive)" },
+      status: { type: "list", items: "string", enum: ["Scheduled", "Live", "Played"], upper: true, description: "Game states to keep", example: "Scheduled,Live" },
+      played: { type: "boolean", description: "true: finished games only; false: not yet finished" },
+      ...LIST_PARAMS,
+      format: FORMAT,
+      shape: SHAPE,
+      refresh: REFRESH,
+    },
+    normalized: "Game",
+  },
+  {
+    path: "/api/game",
+    summary: "Single game",
+    description: "Single game data",
+    cacheTtl: 60,
+    params: { ...SEASON_PARAMS, gameNumber: { ...GAME_NUMBER, required: true }, shape: SHAPE, refresh: REFRESH },
+    normalized: "Game",
+  },
+  {
+    path: "/api/boxscore",
+    summary: "Box score",
+    description: "Game box score (advanced=true for derived metrics), with data-quality anomalies",
+    cacheTtl: 60,
+    params: {
+      ...SEASON_PARAMS,
+      gameNumber: { ...GAME_NUMBER, required: true },
+      advanced: { type: "boolean", default: false, description: "Flattened rows + eFG%, TS%, USG%, ratings, four factors" },
+      format: { ...FORMAT, description: "json, or one row per player as csv / tsv / ndjson" },
+      shape: { ...SHAPE, description: `${SHAPE.description} (not with advanced)` },
+      refresh: REFRESH,
+    },
+    normalized: "Boxscore",
+  },
+  {
+    path: "/api/pbp",
+    summary: "Play-by-play",
+    description: "Play-by-play",
+    cacheTtl: 60,
+    params: { ...SEASON_PARAMS, gameNumber: { ...GAME_NUMBER, required: true }, refresh: REFRESH },
+  },
+  {
+    path: "/api/pbp/analysis",
+    summary: "PbP analysis",
+    description: "Possessions, runs, lead changes & margin timeline",
+    cacheTtl: 60,
+    params: {
+      ...SEASON_PARAMS,
+      gameNumber: { ...GAME_NUMBER, required: true },
+      minRun: { type: "integer", min: 1, default: 8, description: "Smallest unanswered run to report" },
+      possessions: { type: "boolean", default: false, description: "Include the full possession list" },
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/lineups",
+    summary: "Lineups & on/off",
+    description: "Lineup & on/off stats from play-by-play (one game or a team's season)",
+    cacheTtl: 60,
+    oneOf: [["gameNumber", "teamCode"]],
+    params: {
+      ...SEASON_PARAMS,
+      gameNumber: { ...GAME_NUMBER, description: "One game (both teams unless teamCode is set)" },
+      teamCode: { ...TEAM_CODE, description: "Team; without gameNumber, aggregates the team's season" },
+      games: { type: "list", items: "integer", description: "Only these game codes (season mode)", example: "1,5,9" },
+      minMinutes: { type: "number", min: 0, default: 0, description: "Hide lineups with less court time" },
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/live/stream",
+    summary: "Live event stream",
+    description: "Server-Sent Events for one game or a whole round: status, play, score, period, final and box score changes; resumes from Last-Event-ID",
+    stream: true,
+    oneOf: [["gameNumber", "round"]],
+    params: {
+      ...SEASON_PARAMS,
+      gameNumber: GAME_NUMBER,
+      round: { type: "integer", min: 1, description: "Every game of this round", example: "5" },
+      interval: { type: "integer", min: 2, max: 30, default: 5, description: "Seconds between upstream polls" },
+      lastEventId: { type: "string", pattern: /^\d+:\d+\.\d+L?F?(,\d+:\d+\.\d+L?F?)*$/, description: "Resume after this event id (the Last-Event-ID header wins)", example: "12:187.3L" },
+    },
+  },
+  {
+    path: "/api/standings",
+    summary: "Standings",
+    description: "Competition standings",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      computed: { type: "boolean", default: false, description: "Compute the table from /games results with the EuroLeague tiebreakers instead of proxying upstream" },
+      round: { type: "integer", min: 1, description: "Table as of the end of this round (implies computed)" },
+      format: FORMAT,
+      shape: { ...SHAPE, description: `${SHAPE.description} (computed tables always are)` },
+      refresh: REFRESH,
+    },
+    normalized: "Standing",
+  },
+  {
+    path: "/api/standings/simulate",
+    summary: "Playoff odds",
+    description: "Monte Carlo of the remaining regular season: top-4, top-6, play-in and elimination odds per team",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      code: { ...CODE, enum: ["E"], description: "EuroLeague only (single-table regular season)" },
+      iterations: { type: "integer", min: 100, max: 20000, default: 5000, description: "Seasons simulated" },
+      seed: { type: "integer", min: 0, default: 1, description: "Random seed; same inputs + seed → same odds" },
+      round: { type: "integer", min: 1, description: "Simulate from the end of this round (later results ignored)" },
+      fix: { type: "list", items: "string", pattern: /^\d+:(\d+-\d+|[A-Z0-9]{2,10})$/, upper: true, description: "What-if results: gameCode:winnerCode or gameCode:homeScore-roadScore", example: "301:MAD,305:88-80" },
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/rounds",
+    summary: "Round data",
+    description: "Round/gameday data; the all-rounds list is filtered and paged like /api/games",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      round: { type: "integer", min: 1, description: "One round; all rounds when omitted" },
+      roundFrom: { type: "integer", min: 1 },
+      roundTo: { type: "integer", min: 1 },
+      ...LIST_PARAMS,
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/leaders",
+    summary: "Leaderboards",
+    description: "Season leaderboards from box scores",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      stat: { type: "string", enum: Object.keys(STATS), default: "points", description: "Counting or percentage stat" },
+      per: { type: "string", enum: PER_MODES, default: "game", description: "Per game, season total or per 40 minutes" },
+      minGames: { type: "integer", min: 1, default: 1, description: "Minimum appearances" },
+      minMinutes: { type: "number", min: 0, description: "Minimum minutes per game (default 0, 10 for per=40min)" },
+      minAttempts: { type: "integer", min: 0, description: "Total attempts to qualify for % stats (default: per-stat attempts per game × games)" },
+      teamCode: TEAM_CODE,
+      position: { type: "string", description: "Position name", example: "Guard" },
+      roundFrom: { type: "integer", min: 1, example: "1" },
+      roundTo: { type: "integer", min: 1, example: "34" },
+      location: { type: "string", enum: ["home", "road"] },
+      source: SOURCE,
+      limit: { type: "integer", min: 1, default: 25, description: "Rows returned (capped at 200)" },
+      format: FORMAT,
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/team",
+    summary: "Team overview",
+    description: "Team roster, schedule, splits & per-game averages",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      teamCode: { ...TEAM_CODE, required: true },
+      lastN: { type: "integer", min: 1, default: 5, description: "Games in the last-N split" },
+      source: SOURCE,
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/matchup",
+    summary: "Matchup preview",
+    description: "Head-to-head history, next meeting, form, team averages & four factors and key players for two clubs",
+    cacheTtl: 300,
+    params: {
+      ...SEASON_PARAMS,
+      teamA: { ...TEAM_CODE, required: true },
+      teamB: { ...TEAM_CODE, required: true, example: "BAR" },
+      seasons: { type: "list", items: "string", pattern: SEASON_CODE.pattern, upper: true, description: "Season codes for the all-time head-to-head (default: every season of the competition)", example: "E2022,E2023,E2024" },
+      lastN: { type: "integer", min: 1, max: 20, default: 5, description: "Games in each side's recent form" },
+      players: { type: "integer", min: 0, max: 10, default: 3, description: "Key players per side" },
+      source: SOURCE,
+      refresh: REFRESH,
+    },
+  },
+  {
+    path: "/api/player",
+    summary: "Player data",
+    description: "Player profile & stats, game log, career",
+    cacheTtl: 300,
+    params: {
+      code: CODE,
+      personCode: { type: "string", pattern: /^[A-Za-z0-9]+$/, required: true, description: "Player code", example: "ABC" },
+      season: { ...SEASON, default: undefined, description: "Season start year (stats / gamelog)" },
+      seasonCode: SEASON_CODE,
+      stats: { type: "boolean", default: false, description: "Include season stats (needs season or seasonCode)" },
+      gamelog: { type: "boolean", default: false, description: "One row per game (needs season or seasonCode)" },
+      career: { type: "boolean", default: false, description: "Per season / team lines (needs seasons)" },
+      seasons: { type: "list", items: "string", pattern: SEASON_CODE.pattern, upper: true, description: "Season codes for career", example: "E2023,E2024,JA25" },
+      teamCode: { type: "list", items: "string", pattern: TEAM_CODE.pattern, upper: true, description: "Narrow the box scores loaded", example: "MAD,BAR" },
+      source: SOURCE,
+      shape: { ...SHAPE, description: `${SHAPE.description} (profile, stats and gamelog)` },
+      refresh: REFRESH,
+    },
+    normalized: "Person",
+  },
+  {
+    path: "/api/sync",
+    summary: "Sync to storage",
+    description: "Incremental sync of games, box scores and play-by-play to Supabase (or local files)",
+    scope: "sync",
+    params: {
+      ...SEASON_PARAMS,
+      games: { type: "list", items: "integer", description: "Only these game codes", example: "1,2,3" },
+      skipBoxscores: { type: "boolean", default: false },
+      skipPbp: { type: "boolean", default: false },
+      full: { type: "boolean", default: false, description: "Ignore saved sync state" },
+      dryRun: { type: "boolean", default: false, description: "Diff against stored rows, write nothing" },
+      maxBoxscores: { type: "integer", min: 1, default: 15, description: "Box scores per run; the backfill continues next call" },
+    },
+  },
+  {
+    path: "/api/usage",
+    summary: "Per-key usage",
+    description: "Per-key usage counters (admin key)",
+    scope: "admin",
+    params: {
+      days: { type: "integer", min: 1, max: 90, default: 7 },
+      id: { type: "string", description: "One key id", example: "scouting-sheet" },
+    },
+  },
+  {
+    path: "/api/webhooks",
+    summary: "Webhook subscriptions",
+    description: "Webhook subscriptions and their recent deliveries (admin key); test=<id> sends a signed test delivery",
+    scope: "admin",
+    params: {
+      test: { type: "string", description: "Send a test delivery to this subscription id", example: "discord-bot" },
+      event: { type: "string", enum: ["ping", ...EVENT_TYPES], default: "ping", description: "Test event; game events carry the gameNumber's row" },
+      ...SEASON_PARAMS,
+      gameNumber: { ...GAME_NUMBER, description: "Game for a test game event" },
+    },
+  },
+  {
+    path: "/api/openapi.json",
+    summary: "OpenAPI spec",
+    description: "OpenAPI 3 description of every endpoint, generated from this registry",
+    scope: "public",
+    cacheTtl: 3600,
+    params: {},
+  },
+];
+
+const BY_PATH = new Map(ROUTES.map(r => [r.path, r]));
+
+export function getRoute(path) {
+  const route = BY_PATH.get(path);
+  if (!route) throw new Error(`Unknown route ${path} — add it to lib/routes.js`);
+  return route;
+}
+
+// ------------------------------------------------------------
+// VALIDATION
+// ------------------------------------------------------------
+const TRUE = ["true", "1"];
+const FALSE = ["false", "0"];
+
+function allowed(spec) {
+  return spec.enum.join(", ");
+}
+
+// One raw string → typed value, or { error }
+function coerce(name, spec, raw, type = spec.type) {
+  switch (type) {
+    case "integer": {
+      const value = raw.trim();
+      if (!/^-?\d+$/.test(value)) return { error: `${name} must be an integer` };
+      return bounded(name, spec, parseInt(value, 10));
+    }
+    case "number": {
+      const value = Number(raw.trim());
+      if (raw.trim() === "" || !Number.isFinite(value)) return { error: `${name} must be a number` };
+      return bounded(name, spec, value);
+    }
+    case "boolean": {
+      const value = raw.trim().toLowerCase();
+      if (TRUE.includes(value)) return { value: true };
+      if (FALSE.includes(value)) return { value: false };
+      return { error: `${name} must be true or false` };
+    }
+    case "list": {
+      const items = raw.split(",").map(s => s.trim()).filter(Boolean);
+      const values = [];
+      for (const item of items) {
+        const one = coerce(name, spec, item, spec.items || "string");
+        if (one.error) return one;
+        values.push(one.value);
+      }
+      return { value: values };
+    }
+    default: {
+      let value = raw.trim();
+      if (spec.upper) value = value.toUpperCase();
+      if (spec.enum) {
+        const match = spec.enum.find(v => (spec.upper ? v.toUpperCase() === value : v === value));
+        if (match === undefined) return { error: `${name} must be one of: ${allowed(spec)}` };
+        value = match;
+      }
+      if (spec.pattern && !spec.pattern.test(value)) return { error: `Invalid ${name} "${raw}"` };
+      return { value };
+    }
+  }
+}
+
+function bounded(name, spec, value) {
+  if (spec.min !== undefined && value < spec.min) return { error: `${name} must be >= ${spec.min}` };
+  if (spec.max !== undefined && value > spec.max) return { error: `${name} must be <= ${spec.max}` };
+  return { value };
+}
+
+// Raw query params → { params (typed, defaults applied), errors }
+// Each error: { param, message, value }
+export function validateParams(route, raw) {
+  const params = {};
+  const errors = [];
+
+  for (const [name, spec] of Object.entries(route.params)) {
+    const value = raw[name];
+    if (value === undefined || value.trim() === "") {
+      if (spec.required) errors.push({ param: name, message: `Missing required param: ${name}`, value: null });
+      else if (spec.default !== undefined) params[name] = spec.default;
+      continue;
+    }
+    const result = coerce(name, spec, value);
+    if (result.error) errors.push({ param: name, message: result.error, value });
+    else params[name] = result.value;
+  }
+
+  for (const group of route.oneOf || []) {
+    if (!group.some(name => params[name] !== undefined)) {
+      errors.push({ param: group.join("|"), message: `Missing required param: ${group.join(" or ")}`, value: null });
+    }
+  }
+
+  return { params, errors };
+}
+
+// 400 body shared by every endpoint: the messages joined as
+// `error` (the errorResponse shape) plus the full list
+export function paramErrorResponse(errors) {
+  return jsonResponse({
+    error: errors.map(e => e.message).join("; "),
+    errors,
+    timestamp: new Date().toISOString(),
+  }, 400);
+}
+
+// ------------------------------------------------------------
+// withRoute — auth (route scope) + CORS + param validation +
+// season check (lib/competitions.js: fills in params.seasonCode) +
+// HTTP caching (lib/http-cache.js: ETag / 304, Cache-Control
+// from route.cacheTtl unless the handler set its own)
+// The handler gets the validated params as a third argument:
+//   export default withRoute(ROUTE, async (req, context, params) => …)
+// ------------------------------------------------------------
+export function withRoute(route, handler) {
+  const scope = route.scope || "read";
+  return withAuth(async (req, context) => {
+    const corsRes = handleCors(req);
+    if (corsRes) return corsRes;
+
+    const raw = Object.fromEntries(new URL(req.url).searchParams);
+    const { params, errors } = validateParams(route, raw);
+    if (errors.length > 0) return paramErrorResponse(errors);
+    // code / season / seasonCode against what upstream has (lib/competitions.js)
+    const seasonErrors = await resolveSeason(route, params, raw);
+    if (seasonErrors.length > 0) return paramErrorResponse(seasonErrors);
+    const res = await handler(req, context, params);
+    return conditional(req, res, { ttl: route.cacheTtl, privateCache: scope !== "public" && authEnabled() });
+  }, { scope });
+}
+
+// "season, code, seasonCode, gameNumber*" — /api/health's listing
+export function paramSummary(route) {
+  const names = Object.keys(route.params).filter(n => n !== "refresh");
+  const oneOf = new Set((route.oneOf || []).flat());
+  const grouped = (route.oneOf || []).map(g => g.join(" | "));
+  return [
+    ...names.filter(n => !oneOf.has(n)).map(n => (route.params[n].required ? `${n}*` : n)),
+    ...grouped,
+  ].join(", ");
+}
@@ -0,0 +1,132 @@
+// ============================================================
+// SEASON PLAYER ROWS
+// Every player_stats row for a season, from one of two sources:
+//   supabase — rows already written by /api/sync (fast, needs
+//              SUPABASE_SERVICE_KEY and a synced season)
+//   upstream — the /stats feed of every played game, flattened
+//              with extractPlayers() and cached per game
+// "auto" picks supabase when a key is configured.
+//
+// With a teamCode, rows cover the team's games — both sides, so
+// callers have opponent totals too.
+//
+// Played games Supabase has no rows for yet are filled from
+// upstream. Upstream loading runs against a deadline; games it could
+// not reach come back in `pending` and the call is `complete: false`.
+// ============================================================
+
+import { extractPlayers } from "./transform.js";
+import { computeAdvanced } from "./advanced.js";
+import { hasSupabase, supabaseSelect } from "./supabase.js";
+import { fetchSeasonGames, fetchGameStats, fanOut, isFinal, isLive, FINAL_TTL } from "./upstream.js";
+import { cleanCode } from "./pbp.js";
+import { cache } from "../utils.js";
+
+const SEASON_ROWS_TTL = 300;
+
+// Columns read back from Supabase — everything but raw_data
+const ROW_COLUMNS = [
+  "game_code", "season_code", "competition", "round", "game_date",
+  "team_code", "team_name", "team_tv_code", "is_local",
+  "person_code", "player_name", "player_alias", "dorsal", "position", "is_starter",
+  "minutes", "minutes_decimal", "points",
+  "field_goals_made", "field_goals_attempted", "two_points_made", "two_points_attempted",
+  "three_points_made", "three_points_attempted", "free_throws_made", "free_throws_attempted",
+  "offensive_rebounds", "defensive_rebounds", "total_rebounds",
+  "assists", "turnovers", "steals", "blocks_favour", "blocks_against",
+  "fouls_committed", "fouls_received", "pir", "plus_minus",
+];
+
+export function resolveSource(source = "auto") {
+  if (source === "supabase" || source === "upstream") return source;
+  return hasSupabase() ? "supabase" : "upstream";
+}
+
+// Played (or in-progress) games of a season, optionally only one team's
+export function playedGames(games, teamCode = null) {
+  return games
+    .filter(g => isFinal(g) || isLive(g))
+    .filter(g => !teamCode || cleanCode(g.local?.club?.code) === teamCode || cleanCode(g.road?.club?.code) === teamCode)
+    .sort((a, b) => a.gameCode - b.gameCode);
+}
+
+// One game's flattened rows (with advanced columns), without raw_data
+export async function loadGameRows(code, seasonCode, game, options = {}) {
+  const ttl = isFinal(game) ? FINAL_TTL : 60;
+  const stats = await fetchGameStats(code, seasonCode, game.gameCode, { ...options, ttl });
+  const rows = extractPlayers(stats, game.gameCode, seasonCode, code.toUpperCase(), game.round, game.utcDate || game.date);
+  return computeAdvanced(rows).players.map(({ raw_data, synced_at, ...row }) => row);
+}
+
+// Upstream rows for the given games → { rows, pending, errors }
+async function loadUpstreamRows(code, seasonCode, games, { deadline, options }) {
+  const { results, errors, pending } = await fanOut(
+    games,
+    game => loadGameRows(code, seasonCode, game, { ...options, fetch: { ...options.fetch, deadline } }),
+    { concurrency: 6, deadline }
+  );
+  return {
+    rows: results.flatMap(r => r.value),
+    pending: pending.map(g => g.gameCode),
+    errors: errors.map(e => `Game ${e.item.gameCode}: ${e.error.message}`),
+    failed: results.length === 0 && errors.length > 0 ? errors[0].error : null,
+  };
+}
+
+export async function loadSeasonPlayerRows(code, seasonCode, { source = "auto", teamCode = null, deadline = null, options = {} } = {}) {
+  const resolved = resolveSource(source);
+
+  const games = playedGames(await fetchSeasonGames(code, seasonCode, options), teamCode);
+
+  if (resolved === "supabase") {
+    let query = `season_code=eq.${encodeURIComponent(seasonCode)}&select=${ROW_COLUMNS.join(",")}&order=game_code.asc`;
+    if (teamCode) {
+      if (games.length === 0) return { source: resolved, rows: [], complete: true, pending: [], errors: [], games };
+      query += `&game_code=in.(${games.map(g => g.gameCode).join(",")})`;
+    }
+    const rows = await supabaseSelect("player_stats", query);
+    const synced = new Set(rows.map(r => Number(r.game_code)));
+    const gaps = games.filter(g => !synced.has(Number(g.gameCode)));
+    if (gaps.length === 0) return { source: resolved, rows, complete: true, pending: [], errors: [], games };
+
+    // Not synced yet (a backfill still running): fill from upstream
+    const filled = await loadUpstreamRows(code, seasonCode, gaps, { deadline, options });
+    return {
+      source: resolved,
+      rows: [...rows, ...filled.rows].sort((a, b) => a.game_code - b.game_code),
+      complete: filled.pending.length === 0 && filled.errors.length === 0,
+      pending: filled.pending,
+      errors: filled.errors,
+      games,
+    };
+  }
+
+  const loaded = await loadUpstreamRows(code, seasonCode, games, { deadline, options });
+  if (loaded.failed) throw loaded.failed;
+
+  return {
+    source: resolved,
+    rows: loaded.rows,
+    complete: loaded.pending.length === 0 && loaded.errors.length === 0,
+    pending: loaded.pending,
+    errors: loaded.errors,
+    games,
+  };
+}
+
+// Cached wrapper: only a complete load is cached as "the season".
+// A partial one already left its per-game feeds in the cache, so
+// the next call picks up where this one stopped.
+export async function cachedSeasonPlayerRows(code, seasonCode, { source = "auto", teamCode = null, deadline = null, options = {} } = {}) {
+  const resolved = resolveSource(source);
+  const key = `season-rows:${resolved}:${seasonCode}:${teamCode || "all"}`;
+
+  if (!options.refresh) {
+    const cached = await cache.get(key);
+    if (cached) return { ...cached, cacheStatus: "HIT" };
+  }
+
+  const { games, ...loaded } = await loadSeasonPlayerRows(code, seasonCode, { source: resolved, teamCode, deadline, options });
+  if (loaded.complete) await cache.set(key, loaded, SEASON_ROWS_TTL);
+  return { ...loaded, cacheStatus: loaded.complete ? "MISS" : "PARTIAL" };
+}
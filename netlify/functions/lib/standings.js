@@ -0,0 +1,332 @@
+// ============================================================
+// STANDINGS ENGINE — tables from /games results
+// Regular-season games only (phaseType RS when the feed says).
+// Teams are ranked by wins, then the EuroLeague tiebreakers,
+// applied to the tied teams only:
+//   1. head-to-head wins between them
+//   2. head-to-head point difference between them
+//   3. overall point difference
+//   4. overall points scored
+// When a criterion splits a tie only partly, each group still
+// tied starts over at 1 with just its own games. Club code is
+// the last resort, so the order is always deterministic.
+//
+// The same table backs the Monte Carlo simulation: ratings from
+// the results so far (margin-based, opponent-adjusted), the
+// remaining games drawn as N(rating difference + home edge,
+// SIGMA) margins, every run ranked with the rules above.
+// Rows use the shape=normalized Standing shape (lib/normalize.js).
+// ============================================================
+
+import { isFinal } from "./upstream.js";
+import { cleanCode } from "./pbp.js";
+
+// EuroLeague regular season: 1–4 home court, 1–6 playoffs, 7–10 play-in
+export const ZONES = { top4: [1, 4], top6: [1, 6], playIn: [7, 10] };
+
+const SIGMA = 11;              // sd of a game's margin around the expected one
+const DEFAULT_HOME_EDGE = 3;
+const MAX_HOME_EDGE = 8;
+const MIN_GAMES_FOR_EDGE = 20;
+const MARGIN_CAP = 30;         // blowouts count as 30
+const PRIOR_GAMES = 5;         // ratings shrink toward 0 by n / (n + PRIOR_GAMES)
+const RATING_ITERATIONS = 50;
+const BASE_SCORE = 80;
+
+const round = (n, digits) => {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+};
+const pct = (n, total) => (total > 0 ? round((n / total) * 100, 1) : null);
+
+// ------------------------------------------------------------
+// GAMES → teams + results
+// ------------------------------------------------------------
+export function isRegularSeason(g) {
+  const phase = g.phaseType?.code ?? g.phaseType ?? null;
+  return phase === null || String(phase).toUpperCase() === "RS";
+}
+
+const roundOf = (g) => (g.round === null || g.round === undefined ? null : Number(g.round));
+const groupOf = (g) => g.group?.name ?? g.groupName ?? null;
+
+function clubOf(side) {
+  const club = side?.club || {};
+  return {
+    code: cleanCode(club.code),
+    name: club.editorialName || club.abbreviatedName || club.name || null,
+    fullName: club.name || null,
+    tvCode: club.tvCode || null,
+    logo: club.images?.crest || null,
+  };
+}
+
+// Regular-season games → { teams: [club], played: [result], remaining: [fixture] }
+// asOfRound: results after that round count as not played yet
+export function seasonResults(games, { asOfRound = null } = {}) {
+  const teams = new Map();
+  const played = [];
+  const remaining = [];
+  for (const g of games.filter(isRegularSeason)) {
+    const home = clubOf(g.local);
+    const road = clubOf(g.road);
+    if (!home.code || !road.code) continue;
+    for (const club of [home, road]) {
+      if (!teams.has(club.code)) teams.set(club.code, { ...club, group: groupOf(g) });
+    }
+    const fixture = { gameCode: g.gameCode, round: roundOf(g), date: g.utcDate || g.date || null, home: home.code, road: road.code };
+    const counts = isFinal(g) && (asOfRound === null || (fixture.round ?? 0) <= asOfRound);
+    if (counts) played.push({ ...fixture, homeScore: Number(g.local?.score) || 0, roadScore: Number(g.road?.score) || 0 });
+    else remaining.push(fixture);
+  }
+  const byDate = (a, b) => String(a.date || "").localeCompare(String(b.date || "")) || a.gameCode - b.gameCode;
+  return { teams: [...teams.values()], played: played.sort(byDate), remaining: remaining.sort(byDate) };
+}
+
+// ------------------------------------------------------------
+// TABLE — per-team totals + head-to-head matrices, by team index
+// ------------------------------------------------------------
+export function createTable(codes) {
+  const n = codes.length;
+  return {
+    codes,
+    index: new Map(codes.map((c, i) => [c, i])),
+    won: new Int32Array(n),
+    lost: new Int32Array(n),
+    pointsFor: new Int32Array(n),
+    pointsAgainst: new Int32Array(n),
+    h2hWins: new Int32Array(n * n),   // [i * n + j] = i's wins over j
+    h2hDiff: new Int32Array(n * n),   // [i * n + j] = i's point difference against j
+  };
+}
+
+export function cloneTable(t) {
+  return {
+    ...t,
+    won: t.won.slice(), lost: t.lost.slice(),
+    pointsFor: t.pointsFor.slice(), pointsAgainst: t.pointsAgainst.slice(),
+    h2hWins: t.h2hWins.slice(), h2hDiff: t.h2hDiff.slice(),
+  };
+}
+
+// One result by team index (scores are never level in basketball)
+export function addResult(t, home, road, homeScore, roadScore) {
+  const n = t.codes.length;
+  const [winner, loser] = homeScore > roadScore ? [home, road] : [road, home];
+  t.won[winner]++;
+  t.lost[loser]++;
+  t.pointsFor[home] += homeScore;
+  t.pointsAgainst[home] += roadScore;
+  t.pointsFor[road] += roadScore;
+  t.pointsAgainst[road] += homeScore;
+  t.h2hWins[winner * n + loser]++;
+  t.h2hDiff[home * n + road] += homeScore - roadScore;
+  t.h2hDiff[road * n + home] += roadScore - homeScore;
+}
+
+const CRITERIA = [
+  ["head-to-head wins", (t, i, group) => group.reduce((s, j) => s + t.h2hWins[i * t.codes.length + j], 0)],
+  ["head-to-head point difference", (t, i, group) => group.reduce((s, j) => s + t.h2hDiff[i * t.codes.length + j], 0)],
+  ["point difference", (t, i) => t.pointsFor[i] - t.pointsAgainst[i]],
+  ["points scored", (t, i) => t.pointsFor[i]],
+];
+
+// Tied team indexes → [{ i, tiebreak }] in order; tiebreak names
+// the criterion that placed the team (null when it wasn't tied)
+function breakTie(t, group) {
+  if (group.length === 1) return [{ i: group[0], tiebreak: null }];
+  for (const [name, score] of CRITERIA) {
+    const scores = new Map(group.map(i => [i, score(t, i, group)]));
+    const levels = [...new Set(scores.values())].sort((a, b) => b - a);
+    if (levels.length === 1) continue;
+    return levels.flatMap(level => {
+      const tied = group.filter(i => scores.get(i) === level);
+      return tied.length === 1
+        ? [{ i: tied[0], tiebreak: name }]
+        : breakTie(t, tied).map(r => ({ ...r, tiebreak: r.tiebreak ?? name }));
+    });
+  }
+  return [...group].sort((a, b) => t.codes[a].localeCompare(t.codes[b])).map(i => ({ i, tiebreak: "club code" }));
+}
+
+// Team indexes (optionally one group's) → [{ i, tiebreak }], first place first
+export function rankTable(t, members = null) {
+  const teams = members || [...t.codes.keys()];
+  const byRecord = new Map();
+  for (const i of teams) {
+    const key = `${t.won[i]}:${t.lost[i]}`;
+    if (!byRecord.has(key)) byRecord.set(key, []);
+    byRecord.get(key).push(i);
+  }
+  return [...byRecord.values()]
+    .sort((a, b) => t.won[b[0]] - t.won[a[0]] || t.lost[a[0]] - t.lost[b[0]])
+    .flatMap(group => breakTie(t, group));
+}
+
+// ------------------------------------------------------------
+// STANDINGS — seasonResults() → Standing rows (per group)
+// ------------------------------------------------------------
+const FORM_LENGTH = 5;
+const LAST_N = 10;
+
+const record = (results) => `${results.filter(r => r === "W").length}-${results.filter(r => r === "L").length}`;
+
+export function computeStandings({ teams, played }) {
+  const table = createTable(teams.map(c => c.code));
+  const splits = teams.map(() => ({ home: [0, 0], road: [0, 0], form: [] }));
+  for (const g of played) {
+    const home = table.index.get(g.home);
+    const road = table.index.get(g.road);
+    addResult(table, home, road, g.homeScore, g.roadScore);
+    const homeWon = g.homeScore > g.roadScore;
+    splits[home].home[homeWon ? 0 : 1]++;
+    splits[road].road[homeWon ? 1 : 0]++;
+    splits[home].form.push(homeWon ? "W" : "L");
+    splits[road].form.push(homeWon ? "L" : "W");
+  }
+
+  const groups = [...new Set(teams.map(c => c.group))];
+  return groups.flatMap(group => {
+    const members = teams.map((c, i) => (c.group === group ? i : -1)).filter(i => i >= 0);
+    return rankTable(table, members).map(({ i, tiebreak }, position) => {
+      const { group: _, ...club } = teams[i];
+      const played = table.won[i] + table.lost[i];
+      return {
+        position: position + 1,
+        group,
+        team: club,
+        games: { played, won: table.won[i], lost: table.lost[i] },
+        winPct: pct(table.won[i], played),
+        points: { for: table.pointsFor[i], against: table.pointsAgainst[i], diff: table.pointsFor[i] - table.pointsAgainst[i] },
+        records: { home: splits[i].home.join("-"), road: splits[i].road.join("-"), lastTen: record(splits[i].form.slice(-LAST_N)) },
+        form: splits[i].form.slice(-FORM_LENGTH).reverse(),
+        tiebreak,
+      };
+    });
+  });
+}
+
+// ------------------------------------------------------------
+// RATINGS — points better than an average team, on neutral court
+// ------------------------------------------------------------
+export function rateTeams(codes, played) {
+  const homeEdge = played.length >= MIN_GAMES_FOR_EDGE
+    ? Math.min(MAX_HOME_EDGE, Math.max(0, played.reduce((s, g) => s + (g.homeScore - g.roadScore), 0) / played.length))
+    : DEFAULT_HOME_EDGE;
+
+  const index = new Map(codes.map((c, i) => [c, i]));
+  const games = codes.map(() => []); // [opponent, neutral margin]
+  for (const g of played) {
+    const margin = Math.max(-MARGIN_CAP, Math.min(MARGIN_CAP, g.homeScore - g.roadScore)) - homeEdge;
+    games[index.get(g.home)].push([index.get(g.road), margin]);
+    games[index.get(g.road)].push([index.get(g.home), -margin]);
+  }
+
+  // Simple rating system: own margin + opponents' ratings, iterated
+  let ratings = new Float64Array(codes.length);
+  for (let k = 0; k < RATING_ITERATIONS; k++) {
+    const next = ratings.map((_, i) => (games[i].length ? games[i].reduce((s, [opp, m]) => s + m + ratings[opp], 0) / games[i].length : 0));
+    const mean = next.reduce((s, r) => s + r, 0) / (next.length || 1);
+    ratings = next.map(r => r - mean);
+  }
+  const shrunk = ratings.map((r, i) => r * games[i].length / (games[i].length + PRIOR_GAMES));
+  return { ratings: shrunk, homeEdge };
+}
+
+// ------------------------------------------------------------
+// SIMULATION
+// ------------------------------------------------------------
+// Seeded PRNG (mulberry32), so a request's odds are reproducible
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function normal(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+const inZone = (position, [from, to]) => position >= from && position <= to;
+
+// results: seasonResults() output; fixed: Map gameCode → { homeScore,
+// roadScore } (an exact result) or { winner: "home" | "road" } (the
+// margin is still drawn, only its sign is forced). Fixes replace real
+// results too, for "what if we'd won that one".
+// → { rows (one per team, by average position), homeEdge, open }
+export function simulateSeason({ teams, played, remaining }, { iterations, seed, fixed = new Map() }) {
+  const codes = teams.map(c => c.code);
+  const counted = played.filter(g => !fixed.has(g.gameCode));
+  const { ratings, homeEdge } = rateTeams(codes, counted);
+
+  // Exact fixes count like played games; the rest is drawn every run
+  const base = createTable(codes);
+  const open = [];
+  for (const g of [...played, ...remaining]) {
+    const fix = fixed.get(g.gameCode);
+    const home = base.index.get(g.home);
+    const road = base.index.get(g.road);
+    if (fix?.winner) open.push([home, road, fix.winner === "home" ? 1 : -1]);
+    else if (fix) addResult(base, home, road, fix.homeScore, fix.roadScore);
+    else if (g.homeScore !== undefined) addResult(base, home, road, g.homeScore, g.roadScore);
+    else open.push([home, road, 0]);
+  }
+  const current = new Map(rankTable(base).map(({ i }, position) => [i, position + 1]));
+
+  const n = codes.length;
+  const positions = Array.from({ length: n }, () => new Int32Array(n));
+  const wins = new Float64Array(n);
+  const random = rng(seed);
+  for (let run = 0; run < iterations; run++) {
+    const t = cloneTable(base);
+    for (const [home, road, sign] of open) {
+      let margin = Math.round(ratings[home] - ratings[road] + homeEdge + SIGMA * normal(random));
+      if (margin === 0) margin = random() < 0.5 ? 1 : -1;
+      if (sign) margin = sign * Math.abs(margin);
+      addResult(t, home, road, BASE_SCORE + Math.ceil(margin / 2), BASE_SCORE - Math.floor(margin / 2));
+    }
+    rankTable(t).forEach(({ i }, position) => positions[i][position]++);
+    for (let i = 0; i < n; i++) wins[i] += t.won[i];
+  }
+
+  const rows = codes.map((code, i) => {
+    const share = (from, to) => pct(positions[i].slice(from - 1, to).reduce((s, c) => s + c, 0), iterations);
+    const games = base.won[i] + base.lost[i] + open.filter(([home, road]) => home === i || road === i).length;
+    const avgWins = wins[i] / iterations;
+    const { group, ...club } = teams[i];
+    return {
+      team: club,
+      rating: round(ratings[i], 1),
+      current: { position: current.get(i), won: base.won[i], lost: base.lost[i] },
+      projected: {
+        wins: round(avgWins, 1),
+        losses: round(games - avgWins, 1),
+        position: round(positions[i].reduce((s, c, p) => s + c * (p + 1), 0) / iterations, 1),
+      },
+      odds: {
+        first: share(1, 1),
+        top4: share(...ZONES.top4),
+        top6: share(...ZONES.top6),
+        playIn: share(...ZONES.playIn),
+        eliminated: share(ZONES.playIn[1] + 1, n),
+      },
+      positions: [...positions[i]].map(c => pct(c, iterations)),
+    };
+  });
+  rows.sort((a, b) => a.projected.position - b.projected.position || a.current.position - b.current.position);
+  return { rows, homeEdge: round(homeEdge, 1), open: open.length };
+}
+
+// "123:MAD" (winner) or "123:85-80" (home-road score) → { gameCode, winner } | { gameCode, homeScore, roadScore }
+export function parseFix(text) {
+  const m = /^(\d+):(?:(\d+)-(\d+)|([A-Z0-9]{2,10}))$/.exec(String(text).trim().toUpperCase());
+  if (!m) return null;
+  if (m[4]) return { gameCode: parseInt(m[1]), winner: m[4] };
+  return { gameCode: parseInt(m[1]), homeScore: parseInt(m[2]), roadScore: parseInt(m[3]) };
+}
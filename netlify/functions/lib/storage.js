@@ -0,0 +1,146 @@
+// ============================================================
+// SYNC STORAGE
+// Where /api/sync and the scheduled sync write. Every store
+// exposes the same interface:
+//   upsert(table, rows, { batchSize }) → { ok, count, errors, failed }
+//   getSyncState(seasonCode)           → sync_state row or null
+//   saveSyncState(state)
+//   select(table, { seasonCode, gameCodes, columns }) → rows
+// Tables and their keys are in TABLE_KEYS; the Postgres side is
+// db/schema.sql.
+//
+// Select with SYNC_STORAGE:
+//   supabase — PostgREST at SUPABASE_URL with SUPABASE_SERVICE_KEY
+//              (default)
+//   file     — one JSON file per table under STORAGE_DIR, for
+//              running the sync offline
+// ============================================================
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { getSupabaseKey, supabaseUpsert, supabaseSelect, getSyncState, saveSyncState } from "./supabase.js";
+
+// Conflict keys — the primary keys in db/schema.sql
+export const TABLE_KEYS = {
+  live_games:   ["season_code", "game_code"],
+  player_stats: ["season_code", "game_code", "person_code"],
+  play_by_play: ["season_code", "game_code", "play_number"],
+  sync_state:   ["season_code"],
+};
+
+function keysOf(table) {
+  const keys = TABLE_KEYS[table];
+  if (!keys) throw new Error(`Unknown sync table "${table}"`);
+  return keys;
+}
+
+// ------------------------------------------------------------
+// SUPABASE — the production store
+// ------------------------------------------------------------
+export function supabaseStorage(serviceKey = getSupabaseKey()) {
+  return {
+    name: "supabase",
+
+    upsert(table, rows, options) {
+      return supabaseUpsert(table, rows, serviceKey, keysOf(table).join(","), options);
+    },
+
+    getSyncState(seasonCode) {
+      return getSyncState(seasonCode, serviceKey);
+    },
+
+    saveSyncState(state) {
+      return saveSyncState(state, serviceKey);
+    },
+
+    select(table, { seasonCode, gameCodes = null, columns = null }) {
+      if (gameCodes && gameCodes.length === 0) return [];
+      let query = `season_code=eq.${encodeURIComponent(seasonCode)}&select=${columns ? columns.join(",") : "*"}`;
+      if (gameCodes) query += `&game_code=in.(${gameCodes.join(",")})`;
+      return supabaseSelect(table, query, serviceKey);
+    },
+  };
+}
+
+// ------------------------------------------------------------
+// FILE — <STORAGE_DIR>/<table>.json, an object of rows by key.
+// Upserts merge like PostgREST's merge-duplicates. Meant for a
+// single local process, not concurrent writers.
+// ------------------------------------------------------------
+export function fileStorage(dir = process.env.STORAGE_DIR || path.join(process.cwd(), ".data")) {
+  const fileFor = (table) => path.join(dir, `${table}.json`);
+
+  async function load(table) {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(table), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  // Write to a temp file first so an interrupted run never leaves half a table
+  async function save(table, data) {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${fileFor(table)}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(data));
+    await fs.rename(tmp, fileFor(table));
+  }
+
+  const keyOf = (table, row) => keysOf(table).map(k => row[k]).join("|");
+
+  async function upsert(table, rows) {
+    if (rows.length === 0) return { ok: true, count: 0, errors: [], failed: [] };
+    try {
+      const data = await load(table);
+      for (const row of rows) {
+        const key = keyOf(table, row);
+        data[key] = { ...data[key], ...row };
+      }
+      await save(table, data);
+      return { ok: true, count: rows.length, errors: [], failed: [] };
+    } catch (err) {
+      return { ok: false, count: 0, errors: [`${table}: ${err.message}`], failed: rows };
+    }
+  }
+
+  return {
+    name: "file",
+    dir,
+
+    upsert,
+
+    async getSyncState(seasonCode) {
+      const data = await load("sync_state");
+      return data[seasonCode] || null;
+    },
+
+    async saveSyncState(state) {
+      const result = await upsert("sync_state", [state]);
+      if (!result.ok) throw new Error(`Failed to save sync state: ${result.errors[0]}`);
+    },
+
+    async select(table, { seasonCode, gameCodes = null, columns = null }) {
+      const games = gameCodes ? new Set(gameCodes) : null;
+      return Object.values(await load(table))
+        .filter(r => r.season_code === seasonCode && (!games || games.has(r.game_code)))
+        .map(r => (columns ? Object.fromEntries(columns.map(c => [c, r[c]])) : r));
+    },
+
+    // Whole table as an array, for inspecting a local sync
+    async rows(table) {
+      return Object.values(await load(table));
+    },
+  };
+}
+
+const STORES = {
+  supabase: supabaseStorage,
+  file: fileStorage,
+};
+
+export function createStorage(name = process.env.SYNC_STORAGE || "supabase") {
+  const factory = STORES[name.toLowerCase()];
+  if (!factory) throw new Error(`Unknown SYNC_STORAGE "${name}" (use ${Object.keys(STORES).join(", ")})`);
+  return factory();
+}
@@ -0,0 +1,99 @@
+// ============================================================
+// SUPABASE (PostgREST) HELPERS
+// Writes from /api/sync, reads for endpoints that can answer
+// from synced rows instead of refetching every box score.
+// ============================================================
+
+export const SUPABASE_URL = process.env.SUPABASE_URL || "https://knthptmdwgzkpfopceku.supabase.co";
+
+// True when a service key is configured (reads are optional, writes are not)
+export function hasSupabase() {
+  return Boolean(process.env.SUPABASE_SERVICE_KEY);
+}
+
+export function getSupabaseKey() {
+  const key = process.env.SUPABASE_SERVICE_KEY;
+  if (!key) throw new Error("SUPABASE_SERVICE_KEY env var not set. Add it in Netlify → Site config → Environment variables.");
+  return key;
+}
+
+// ============================================================
+// Supabase upsert helper
+// KEY FIX: on_conflict parameter tells PostgREST which columns
+// to use for the upsert merge (not just the primary key)
+// ============================================================
+export async function supabaseUpsert(table, rows, serviceKey, onConflict, { batchSize = 50 } = {}) {
+  if (rows.length === 0) return { ok: true, count: 0, errors: [], failed: [] };
+  
+  let total = 0;
+  let errors = [];
+  let failed = []; // rows from rejected batches, so callers know exactly what didn't land
+  
+  // Build URL with on_conflict parameter
+  const conflictParam = onConflict ? `?on_conflict=${onConflict}` : "";
+  
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batch = rows.slice(i, i + batchSize);
+    const res = await fetch(`${SUPABASE_URL}/rest/v1/${table}${conflictParam}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "apikey": serviceKey,
+        "Authorization": `Bearer ${serviceKey}`,
+        "Prefer": "resolution=merge-duplicates",
+      },
+      body: JSON.stringify(batch),
+    });
+    
+    if (res.ok) {
+      total += batch.length;
+    } else {
+      const errText = await res.text();
+      errors.push(`${table} batch ${Math.floor(i/batchSize)+1}: ${res.status} — ${errText}`);
+      failed.push(...batch);
+    }
+  }
+  
+  return { ok: errors.length === 0, count: total, errors, failed };
+}
+
+// ============================================================
+// Supabase select helper
+// `query` is a PostgREST query string, e.g.
+//   "season_code=eq.E2025&select=person_code,points"
+// Pages through with Range headers so large tables come back whole.
+// ============================================================
+export async function supabaseSelect(table, query, serviceKey = getSupabaseKey(), { pageSize = 1000, maxRows = 50000 } = {}) {
+  const rows = [];
+  for (let from = 0; from < maxRows; from += pageSize) {
+    const res = await fetch(`${SUPABASE_URL}/rest/v1/${table}?${query}`, {
+      headers: {
+        "apikey": serviceKey,
+        "Authorization": `Bearer ${serviceKey}`,
+        "Range-Unit": "items",
+        "Range": `${from}-${from + pageSize - 1}`,
+      },
+    });
+    if (!res.ok) {
+      const errText = await res.text();
+      throw new Error(`${table} select: ${res.status} — ${errText}`);
+    }
+    const page = await res.json();
+    rows.push(...page);
+    if (page.length < pageSize) break;
+  }
+  return rows;
+}
+
+// ============================================================
+// Sync state (one row per season in sync_state)
+// ============================================================
+export async function getSyncState(seasonCode, serviceKey = getSupabaseKey()) {
+  const rows = await supabaseSelect("sync_state", `season_code=eq.${encodeURIComponent(seasonCode)}&select=*`, serviceKey);
+  return rows[0] || null;
+}
+
+export async function saveSyncState(state, serviceKey = getSupabaseKey()) {
+  const result = await supabaseUpsert("sync_state", [state], serviceKey, "season_code");
+  if (!result.ok) throw new Error(`Failed to save sync state: ${result.errors[0]}`);
+}
@@ -0,0 +1,411 @@
+// ============================================================
+// INCREMENTAL SYNC
+// Games + box scores → sync storage (Supabase or local files, see
+// lib/storage.js), remembering per season what was already
+// written (sync_state table):
+//   game_hashes      gameCode → hash of the live_games row last
+//                    upserted; unchanged games are not rewritten
+//   final_boxscores  gameCode → game hash when its box score was
+//                    synced after the game was final; those box
+//                    scores are not fetched again unless the game
+//                    itself changes (e.g. a score correction)
+//   pbp_cursor       gameCode → highest play number stored, so a
+//                    live game only appends the events it gained
+//   cursor           what the box score backfill still has to do
+//
+// Every game and box score goes through lib/validate.js on the
+// way in. Anomalies are stored with the rows (live_games.anomalies
+// for the header, live_games.boxscore_anomalies for team totals,
+// player_stats.anomalies per player) and listed in the response.
+//
+// Play-by-play rides along with the box score: same games, same
+// "done once final" rule. The final pass rewrites the whole feed
+// so late corrections to earlier events land too.
+//
+// Games that changed (and live games' ended periods, from their
+// play-by-play) go to lib/webhooks.js, which notifies subscribers.
+//
+// Each run works through the backfill queue (live games first,
+// then newest) until `maxBoxscores` or the time budget runs out;
+// the next run continues from the saved state, so repeated calls
+// converge on a fully loaded season.
+// ============================================================
+
+import { createHash } from "node:crypto";
+import { euroFetch, UpstreamError } from "../utils.js";
+import { transformGame, extractPlayers, transformPlays } from "./transform.js";
+import { computeAdvanced } from "./advanced.js";
+import { fanOut, isFinal, isLive } from "./upstream.js";
+import { diffRows, IGNORED_COLUMNS } from "./diff.js";
+import { TABLE_KEYS } from "./storage.js";
+import { validateGame, validateBoxscore } from "./validate.js";
+import { periodsEnded } from "./live.js";
+import { notifyGames } from "./webhooks.js";
+
+const GAMES_FETCH = { timeout: 5000, retries: 1 };
+const BOXSCORE_FETCH = { timeout: 4000, retries: 1 };
+const BATCH_HEADROOM_MS = 1500; // don't start a boxscore batch with less time than this left
+const PBP_BATCH_SIZE = 500; // a game is ~500 events; one request each
+
+// Hash of a live_games row, ignoring when it was built
+export function gameHash(row) {
+  const { synced_at, ...rest } = row;
+  return createHash("sha1").update(JSON.stringify(rest)).digest("hex");
+}
+
+function emptyState(seasonCode, competition) {
+  return { season_code: seasonCode, competition, game_hashes: {}, final_boxscores: {}, pbp_cursor: {}, cursor: {} };
+}
+
+// Box scores still to sync, in the order this run should take them
+export function backfillQueue(gamesList, hashes, finalBoxscores) {
+  return gamesList
+    .filter(g => isLive(g) || (isFinal(g) && finalBoxscores[g.gameCode] !== hashes[g.gameCode]))
+    .sort((a, b) => (isLive(b) - isLive(a)) || b.gameCode - a.gameCode);
+}
+
+// live_games row with its header checks
+function gameRow(game, seasonCode, competition) {
+  const anomalies = validateGame(game);
+  return { ...transformGame(game, seasonCode, competition), anomalies: anomalies.length > 0 ? anomalies : null };
+}
+
+// Flat anomaly list for a response, tagged with the game
+function listAnomalies(gameCode, anomalies) {
+  return (anomalies || []).map(a => ({ gameCode, ...a }));
+}
+
+// Season schedule, optionally narrowed to some game codes
+async function fetchSchedule(competition, seasonCode, { gamesFilter, deadline }) {
+  const gamesData = await euroFetch(
+    `/competitions/${competition}/seasons/${seasonCode}/games`,
+    { ...GAMES_FETCH, deadline }
+  );
+  const gamesList = Array.isArray(gamesData) ? gamesData : (gamesData.data || gamesData);
+  if (!Array.isArray(gamesList)) throw new Error("Unexpected API response format");
+  if (!gamesFilter) return { gamesList, gamesFound: gamesList.length };
+  const filterSet = new Set(gamesFilter);
+  return { gamesList: gamesList.filter(g => filterSet.has(g.gameCode)), gamesFound: gamesList.length };
+}
+
+// One game's player_stats rows (validated, with advanced columns),
+// its team-level anomalies and, when asked, its play_by_play rows
+// (empty if upstream has no feed)
+async function loadGame(competition, seasonCode, game, { doPlayByPlay, deadline }) {
+  const gamePath = `/competitions/${competition}/seasons/${seasonCode}/games/${game.gameCode}`;
+  const [bs, feed] = await Promise.all([
+    euroFetch(`${gamePath}/stats`, { ...BOXSCORE_FETCH, deadline }),
+    // Older games may have no play-by-play at all; that's not a failure
+    doPlayByPlay
+      ? euroFetch(`${gamePath}/playbyplay`, { ...BOXSCORE_FETCH, deadline }).catch(err => {
+          if (err instanceof UpstreamError && err.status === 404) return null;
+          throw err;
+        })
+      : null,
+  ]);
+  const rows = extractPlayers(bs, game.gameCode, seasonCode, competition, game.round, game.utcDate || game.date);
+  const { anomalies, players } = validateBoxscore(rows, game);
+  const plays = feed ? transformPlays(feed, game.gameCode, seasonCode, competition) : [];
+  return {
+    // Advanced columns (eFG%, TS%, USG%…) — same formulas as /api/boxscore?advanced=true
+    players: computeAdvanced(players).players,
+    anomalies,
+    plays,
+    periods: feed ? periodsEnded(plays) : null,
+  };
+}
+
+// ------------------------------------------------------------
+// runSync — one invocation's worth of work
+//   gamesFilter   only these game codes (state for others is kept)
+//   doPlayByPlay  also store each synced game's play_by_play rows
+//   full          ignore saved state: rewrite every game and
+//                 refetch every eligible box score
+// ------------------------------------------------------------
+export async function runSync({
+  code, seasonCode, storage,
+  gamesFilter = null, doBoxscores = true, doPlayByPlay = true, maxBoxscores = 15, full = false,
+  deadline = Date.now() + 8500,
+}) {
+  const competition = code.toUpperCase();
+  const warnings = [];
+
+  // STEP 1: Saved state. Without it the run still works, just without change detection.
+  let state = null;
+  try {
+    state = await storage.getSyncState(seasonCode);
+  } catch (err) {
+    warnings.push(`sync_state unavailable, ran without change detection: ${err.message}`);
+  }
+  const stateAvailable = warnings.length === 0;
+  state = { ...emptyState(seasonCode, competition), ...state };
+  const previous = full ? {} : { ...state.game_hashes };
+  const knownGames = { ...state.game_hashes };
+  const finalBoxscores = full ? {} : { ...state.final_boxscores };
+  const pbpCursor = full ? {} : { ...state.pbp_cursor };
+
+  // STEP 2: Fetch all games
+  const { gamesList, gamesFound } = await fetchSchedule(competition, seasonCode, { gamesFilter, deadline });
+
+  // STEP 3: Upsert only new or changed games
+  const report = { inserted: [], updated: [], unchanged: [], failed: [] };
+  const hashes = {};
+  const changedRows = [];
+  for (const g of gamesList) {
+    const row = gameRow(g, seasonCode, competition);
+    const hash = gameHash(row);
+    hashes[g.gameCode] = hash;
+    if (previous[g.gameCode] === hash) report.unchanged.push(g.gameCode);
+    else changedRows.push(row);
+  }
+
+  const gamesResult = await storage.upsert("live_games", changedRows);
+  const failedGames = new Set(gamesResult.failed.map(r => r.game_code));
+  for (const row of changedRows) {
+    if (failedGames.has(row.game_code)) report.failed.push(row.game_code);
+    else if (knownGames[row.game_code]) report.updated.push(row.game_code);
+    else report.inserted.push(row.game_code);
+  }
+  for (const gameCode of failedGames) delete hashes[gameCode]; // retried next run
+  const anomalies = changedRows.flatMap(r => listAnomalies(r.game_code, r.anomalies));
+
+  // STEP 4: Box score backfill
+  let boxscores = "skipped";
+  const periods = {}; // gameCode → periods ended, for webhooks
+  if (doBoxscores) {
+    const queue = backfillQueue(gamesList, hashes, finalBoxscores);
+    const eligible = gamesList.filter(g => isFinal(g) || isLive(g));
+    const batch = queue.slice(0, maxBoxscores);
+
+    const { results, errors, pending } = await fanOut(
+      batch,
+      async (game) => {
+        const { players, anomalies, plays, periods } = await loadGame(competition, seasonCode, game, { doPlayByPlay, deadline });
+        // Plays already stored for a live game are not resent
+        const after = isFinal(game) ? 0 : (pbpCursor[game.gameCode] || 0);
+        return {
+          players,
+          anomalies,
+          plays: plays.filter(p => p.play_number > after),
+          periods,
+          lastPlay: plays.reduce((max, p) => Math.max(max, p.play_number), 0),
+        };
+      },
+      { concurrency: 5, deadline, headroom: BATCH_HEADROOM_MS }
+    );
+
+    const playerRows = results.flatMap(r => r.value.players);
+    const psResult = await storage.upsert("player_stats", playerRows);
+    const playRows = results.flatMap(r => r.value.plays);
+    const pbpResult = await storage.upsert("play_by_play", playRows, { batchSize: PBP_BATCH_SIZE });
+    // Team-level box score checks go on the game row (only that column is touched)
+    const checked = results.map(r => ({
+      season_code: seasonCode,
+      game_code: r.item.gameCode,
+      boxscore_anomalies: r.value.anomalies.length > 0 ? r.value.anomalies : null,
+    }));
+    const anomalyResult = await storage.upsert("live_games", checked);
+    const failedRows = new Set([...psResult.failed, ...anomalyResult.failed].map(r => r.game_code));
+    const failedPlays = new Set(pbpResult.failed.map(r => r.game_code));
+
+    const synced = [];
+    const failed = errors.map(e => ({ gameCode: e.item.gameCode, error: e.error.message }));
+    for (const { item: game, value } of results) {
+      if (failedRows.has(game.gameCode) || failedPlays.has(game.gameCode)) {
+        failed.push({ gameCode: game.gameCode, error: `${failedRows.has(game.gameCode) ? "player_stats" : "play_by_play"} upsert failed` });
+        continue;
+      }
+      synced.push(game.gameCode);
+      anomalies.push(
+        ...listAnomalies(game.gameCode, value.anomalies),
+        ...value.players.flatMap(r => listAnomalies(game.gameCode, r.anomalies)),
+      );
+      if (value.lastPlay) pbpCursor[game.gameCode] = value.lastPlay;
+      if (value.periods !== null) periods[game.gameCode] = value.periods;
+      // Only a final game's box score is done; live ones are refetched every run
+      if (isFinal(game) && hashes[game.gameCode]) finalBoxscores[game.gameCode] = hashes[game.gameCode];
+    }
+
+    const remaining = backfillQueue(gamesList, hashes, finalBoxscores).filter(g => !isLive(g));
+    const writeErrors = [...psResult.errors, ...pbpResult.errors, ...anomalyResult.errors];
+    boxscores = {
+      eligible: eligible.length,
+      queued: queue.length,
+      synced,
+      skippedFinal: eligible.length - queue.length,
+      failed,
+      deferred: pending.map(g => g.gameCode),
+      remaining: remaining.map(g => g.gameCode),
+      playersUpserted: psResult.count,
+      playsUpserted: doPlayByPlay ? pbpResult.count : "skipped",
+      complete: remaining.length === 0,
+      errors: writeErrors.length > 0 ? writeErrors.slice(0, 5) : undefined,
+    };
+  }
+
+  // STEP 5: Persist state (merged, so a games= run keeps the others)
+  if (stateAvailable) {
+    const next = {
+      season_code: seasonCode,
+      competition,
+      game_hashes: { ...(gamesFilter ? knownGames : {}), ...hashes },
+      final_boxscores: { ...(gamesFilter || !full ? state.final_boxscores : {}), ...finalBoxscores },
+      pbp_cursor: { ...(gamesFilter || !full ? state.pbp_cursor : {}), ...pbpCursor },
+      cursor: doBoxscores && !gamesFilter
+        ? { remaining: boxscores.remaining, complete: boxscores.complete }
+        : state.cursor,
+      updated_at: new Date().toISOString(),
+    };
+    try {
+      await storage.saveSyncState(next);
+    } catch (err) {
+      warnings.push(err.message);
+    }
+  }
+
+  // STEP 6: Webhooks for the games written this run
+  let webhooks = null;
+  const written = new Set([...report.inserted, ...report.updated, ...Object.keys(periods).map(Number)]);
+  try {
+    webhooks = await notifyGames(
+      gamesList
+        .filter(g => written.has(g.gameCode))
+        .map(g => ({ row: transformGame(g, seasonCode, competition), periods: periods[g.gameCode] ?? null })),
+      { deadline }
+    );
+  } catch (err) {
+    warnings.push(`Webhooks failed: ${err.message}`);
+  }
+
+  return {
+    competition,
+    gamesFound,
+    gamesSelected: gamesList.length,
+    gamesUpserted: gamesResult.count,
+    games: report,
+    boxscores,
+    anomalies,
+    complete: report.failed.length === 0 && (boxscores === "skipped" || boxscores.complete),
+    webhooks: webhooks ?? undefined,
+    errors: gamesResult.errors.length > 0 ? gamesResult.errors.slice(0, 5) : undefined,
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+}
+
+// ------------------------------------------------------------
+// diffSync — dry run. Fetches and transforms exactly what runSync
+// would write with the same options, compares it field by field
+// with the stored rows, and writes nothing (not even sync_state).
+// Play-by-play is not compared.
+// ------------------------------------------------------------
+export async function diffSync({
+  code, seasonCode, storage,
+  gamesFilter = null, doBoxscores = true, maxBoxscores = 15, full = false,
+  deadline = Date.now() + 8500,
+}) {
+  const competition = code.toUpperCase();
+  const warnings = [];
+
+  let state = null;
+  try {
+    state = await storage.getSyncState(seasonCode);
+  } catch (err) {
+    warnings.push(`sync_state unavailable, comparing as a full sync: ${err.message}`);
+  }
+  state = { ...emptyState(seasonCode, competition), ...state };
+  const previous = full ? {} : state.game_hashes;
+  const finalBoxscores = full ? {} : state.final_boxscores;
+
+  const { gamesList, gamesFound } = await fetchSchedule(competition, seasonCode, { gamesFilter, deadline });
+
+  // Games: only the ones whose hash changed would be written
+  const hashes = {};
+  const changedRows = [];
+  for (const g of gamesList) {
+    const row = gameRow(g, seasonCode, competition);
+    hashes[g.gameCode] = gameHash(row);
+    if (previous[g.gameCode] !== hashes[g.gameCode]) changedRows.push(row);
+  }
+  const storedGames = await storage.select("live_games", {
+    seasonCode,
+    gameCodes: changedRows.map(r => r.game_code),
+    columns: diffColumns(changedRows),
+  });
+  const gameDiff = diffRows(storedGames, changedRows, r => String(r.game_code));
+  const games = {
+    insert: gameDiff.inserts.map(r => r.game_code),
+    update: gameDiff.updates.map(u => ({ gameCode: u.row.game_code, fields: u.fields })),
+    unchanged: gameDiff.unchanged,
+    skipped: gamesList.length - changedRows.length, // same hash as last sync
+  };
+  const anomalies = changedRows.flatMap(r => listAnomalies(r.game_code, r.anomalies));
+
+  // Box scores: the batch runSync would take
+  let boxscores = "skipped";
+  if (doBoxscores) {
+    const queue = backfillQueue(gamesList, hashes, finalBoxscores);
+    const { results, errors, pending } = await fanOut(
+      queue.slice(0, maxBoxscores),
+      game => loadGame(competition, seasonCode, game, { doPlayByPlay: false, deadline }),
+      { concurrency: 5, deadline, headroom: BATCH_HEADROOM_MS }
+    );
+
+    const rows = results.flatMap(r => r.value.players);
+    anomalies.push(...results.flatMap(r => [
+      ...listAnomalies(r.item.gameCode, r.value.anomalies),
+      ...r.value.players.flatMap(p => listAnomalies(r.item.gameCode, p.anomalies)),
+    ]));
+    const stored = await storage.select("player_stats", {
+      seasonCode,
+      gameCodes: results.map(r => r.item.gameCode),
+      columns: diffColumns(rows),
+    });
+    const keyOf = r => TABLE_KEYS.player_stats.map(k => r[k]).join("|");
+    const playerDiff = diffRows(stored, rows, keyOf);
+    const who = r => ({ gameCode: r.game_code, personCode: r.person_code, playerName: r.player_name ?? null });
+
+    boxscores = {
+      compared: results.map(r => r.item.gameCode),
+      insert: playerDiff.inserts.map(who),
+      update: playerDiff.updates.map(u => ({ ...who(u.row), fields: u.fields })),
+      unchanged: playerDiff.unchanged,
+      missingUpstream: playerDiff.missing.map(who),
+      failed: errors.map(e => ({ gameCode: e.item.gameCode, error: e.error.message })),
+      deferred: pending.map(g => g.gameCode),
+      notCompared: queue.slice(maxBoxscores).map(g => g.gameCode),
+    };
+  }
+
+  return {
+    dryRun: true,
+    competition,
+    gamesFound,
+    gamesSelected: gamesList.length,
+    games,
+    boxscores,
+    anomalies,
+    warnings: warnings.length > 0 ? warnings : undefined,
+  };
+}
+
+// Columns worth reading back for a diff: what we'd write, minus bookkeeping
+function diffColumns(rows) {
+  if (rows.length === 0) return null;
+  return Object.keys(rows[0]).filter(c => !IGNORED_COLUMNS.has(c));
+}
+
+// ------------------------------------------------------------
+// LIVE WINDOW
+// Games a scheduled run should treat as "on": live now, tipping
+// off within `pregameMinutes`, or tipped off less than
+// `gameMinutes` ago and not yet synced as final.
+// ------------------------------------------------------------
+export function gamesInWindow(gamesList, now = Date.now(), { pregameMinutes = 15, gameMinutes = 150, finalBoxscores = {} } = {}) {
+  return gamesList.filter(g => {
+    if (isLive(g)) return true;
+    const tip = Date.parse(g.utcDate || g.date);
+    if (!Number.isFinite(tip)) return false;
+    if (tip - now > pregameMinutes * 60000 || now - tip > gameMinutes * 60000) return false;
+    return !isFinal(g) || !finalBoxscores[g.gameCode];
+  });
+}
@@ -0,0 +1,144 @@
+// ============================================================
+// TEAM VIEWS
+// Schedule, record splits, per-game averages and roster for one
+// club, built from the season game list and player_stats rows.
+// ============================================================
+
+import { cleanCode } from "./pbp.js";
+import { sumRows, teamAdvanced } from "./advanced.js";
+import { isFinal, isLive } from "./upstream.js";
+
+const round = (n, digits = 1) => (Number.isFinite(n) ? Math.round(n * 10 ** digits) / 10 ** digits : null);
+
+// Club info (name, crest…) as it appears in the schedule
+export function teamInfo(games, teamCode) {
+  for (const g of games) {
+    for (const side of ["local", "road"]) {
+      const club = g[side]?.club;
+      if (cleanCode(club?.code) === teamCode) {
+        return {
+          code: teamCode,
+          name: club.name || null,
+          editorialName: club.editorialName || club.abbreviatedName || null,
+          tvCode: club.tvCode || null,
+          crest: club.images?.crest || null,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+// The team's games in date order, from its point of view
+export function teamSchedule(games, teamCode) {
+  return games
+    .filter(g => cleanCode(g.local?.club?.code) === teamCode || cleanCode(g.road?.club?.code) === teamCode)
+    .map(g => {
+      const home = cleanCode(g.local?.club?.code) === teamCode;
+      const us = home ? g.local : g.road;
+      const them = home ? g.road : g.local;
+      const final = isFinal(g);
+      const scored = us?.score ?? null;
+      const allowed = them?.score ?? null;
+      return {
+        gameCode: g.gameCode,
+        round: g.round ?? null,
+        roundAlias: g.roundAlias || null,
+        date: g.utcDate || g.date || null,
+        location: home ? "home" : "road",
+        opponent: {
+          code: cleanCode(them?.club?.code),
+          name: them?.club?.editorialName || them?.club?.abbreviatedName || them?.club?.name || null,
+        },
+        status: isLive(g) ? "Live" : final ? "Played" : (g.gameStatus || "Scheduled"),
+        score: final || isLive(g) ? { for: scored, against: allowed } : null,
+        result: final && scored !== null && allowed !== null ? (scored > allowed ? "W" : "L") : null,
+      };
+    })
+    .sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")) || a.gameCode - b.gameCode);
+}
+
+function record(games) {
+  const wins = games.filter(g => g.result === "W").length;
+  const pf = games.reduce((s, g) => s + g.score.for, 0);
+  const pa = games.reduce((s, g) => s + g.score.against, 0);
+  const n = games.length;
+  return {
+    games: n,
+    wins,
+    losses: n - wins,
+    winPct: n ? round(wins / n, 3) : null,
+    pointsFor: n ? round(pf / n) : null,
+    pointsAgainst: n ? round(pa / n) : null,
+    diff: n ? round((pf - pa) / n) : null,
+  };
+}
+
+// Overall / home / road / last-N records from a teamSchedule()
+export function recordSplits(schedule, lastN = 5) {
+  const played = schedule.filter(g => g.result);
+  const last = played.slice(-lastN);
+  return {
+    overall: record(played),
+    home: record(played.filter(g => g.location === "home")),
+    road: record(played.filter(g => g.location === "road")),
+    lastN: { n: lastN, ...record(last), form: last.map(g => g.result).join("") },
+  };
+}
+
+// Per-game team averages and season advanced metrics from the
+// player_stats rows of the team's games (both sides present)
+export function teamAverages(rows, teamCode) {
+  const byGame = new Map();
+  for (const r of rows) {
+    if (!byGame.has(r.game_code)) byGame.set(r.game_code, { us: [], them: [] });
+    byGame.get(r.game_code)[cleanCode(r.team_code) === teamCode ? "us" : "them"].push(r);
+  }
+
+  const games = [...byGame.values()].filter(g => g.us.length > 0);
+  const us = sumRows(games.flatMap(g => g.us));
+  const them = sumRows(games.flatMap(g => g.them));
+  const n = games.length;
+  if (n === 0) return null;
+
+  const perGame = (t) => Object.fromEntries(Object.entries(t).map(([k, v]) => [k, round(v / n)]));
+  const advanced = teamAdvanced(us, them);
+  return {
+    games: n,
+    perGame: perGame(us),
+    opponentPerGame: perGame(them),
+    ...advanced,
+    possessions: round(advanced.possessions / n),
+  };
+}
+
+// Everyone who appeared for the team, with per-game averages
+export function rosterFromRows(rows, teamCode) {
+  const players = new Map();
+  for (const r of rows) {
+    if (cleanCode(r.team_code) !== teamCode || !r.person_code) continue;
+    if (!players.has(r.person_code)) players.set(r.person_code, []);
+    players.get(r.person_code).push(r);
+  }
+
+  return [...players.entries()].map(([personCode, list]) => {
+    const played = list.filter(r => Number(r.minutes_decimal) > 0);
+    const t = sumRows(played);
+    const n = played.length;
+    const last = list[list.length - 1];
+    return {
+      personCode,
+      name: last.player_name,
+      dorsal: last.dorsal,
+      position: last.position,
+      games: n,
+      starts: played.filter(r => r.is_starter).length,
+      dnp: list.length - n,
+      minutes: n ? round(t.minutes_decimal / n) : null,
+      points: n ? round(t.points / n) : null,
+      rebounds: n ? round(t.total_rebounds / n) : null,
+      assists: n ? round(t.assists / n) : null,
+      pir: n ? round(t.pir / n) : null,
+    };
+  }).sort((a, b) => (b.minutes ?? 0) - (a.minutes ?? 0));
+}
@@ -0,0 +1,244 @@
+// ============================================================
+// ROW TRANSFORMS
+// EuroLeague payloads → flat rows (live_games, player_stats).
+// Shared by /api/sync and every endpoint that works on
+// flattened box scores, so all of them agree on one shape.
+// ============================================================
+
+import { normalizePlays, pick } from "./pbp.js";
+
+// ============================================================
+// TRANSFORM: Game → live_games row
+// ============================================================
+export function transformGame(game, seasonCode, competition) {
+  return {
+    game_code:       game.gameCode,
+    season_code:     seasonCode,
+    competition:     competition,
+    identifier:      game.identifier || `${seasonCode}_${game.gameCode}`,
+    round:           game.round || null,
+    round_alias:     game.roundAlias || null,
+    game_status:     game.gameStatus || (game.played ? "Played" : "Scheduled"),
+    played:          game.played || false,
+    game_date:       game.utcDate || game.date || null,
+    local_code:      game.local?.club?.code || null,
+    local_name:      game.local?.club?.editorialName || game.local?.club?.abbreviatedName || null,
+    local_full_name: game.local?.club?.name || null,
+    local_tv_code:   game.local?.club?.tvCode || null,
+    local_logo:      game.local?.club?.images?.crest || null,
+    local_score:     game.local?.score ?? 0,
+    local_q1:        game.local?.partials?.partials1 ?? null,
+    local_q2:        game.local?.partials?.partials2 ?? null,
+    local_q3:        game.local?.partials?.partials3 ?? null,
+    local_q4:        game.local?.partials?.partials4 ?? null,
+    local_ot:        game.local?.partials?.extraPeriods || {},
+    road_code:       game.road?.club?.code || null,
+    road_name:       game.road?.club?.editorialName || game.road?.club?.abbreviatedName || null,
+    road_full_name:  game.road?.club?.name || null,
+    road_tv_code:    game.road?.club?.tvCode || null,
+    road_logo:       game.road?.club?.images?.crest || null,
+    road_score:      game.road?.score ?? 0,
+    road_q1:         game.road?.partials?.partials1 ?? null,
+    road_q2:         game.road?.partials?.partials2 ?? null,
+    road_q3:         game.road?.partials?.partials3 ?? null,
+    road_q4:         game.road?.partials?.partials4 ?? null,
+    road_ot:         game.road?.partials?.extraPeriods || {},
+    venue_name:      game.venue?.name || null,
+    audience:        game.audience || null,
+    raw_data:        game,
+    synced_at:       new Date().toISOString(),
+  };
+}
+
+// ============================================================
+// TRANSFORM: Stats API player → player_stats row
+// ============================================================
+// The EuroLeague /stats endpoint returns:
+//   local.players[]: { player: { person: {code,name,alias}, dorsal, position, club }, stats: { points, timePlayed, ... } }
+// We flatten this into a single row for Supabase.
+// ============================================================
+
+export function transformPlayerStats(entry, gameInfo, teamCode, teamName, teamTvCode, isLocal) {
+  const p = entry.player || {};
+  const s = entry.stats || {};
+  const person = p.person || {};
+
+  const fgm2 = s.fieldGoalsMade2 ?? 0;
+  const fga2 = s.fieldGoalsAttempted2 ?? 0;
+  const fgm3 = s.fieldGoalsMade3 ?? 0;
+  const fga3 = s.fieldGoalsAttempted3 ?? 0;
+  const timePlayed = s.timePlayed ?? 0;
+
+  // timePlayed is decimal minutes (e.g. 25.5 = 25:30)
+  const mins = Math.floor(timePlayed);
+  const secs = Math.round((timePlayed - mins) * 60);
+  const minutesStr = timePlayed > 0 ? (mins + ":" + (secs < 10 ? "0" : "") + secs) : "DNP";
+
+  return {
+    game_code:              gameInfo.gameCode,
+    season_code:            gameInfo.seasonCode,
+    competition:            gameInfo.competition,
+    round:                  gameInfo.round || null,
+    game_date:              gameInfo.gameDate || null,
+    team_code:              teamCode,
+    team_name:              teamName,
+    team_tv_code:           teamTvCode,
+    is_local:               isLocal,
+    person_code:            person.code || null,
+    player_name:            person.name || null,
+    player_alias:           person.alias || null,
+    dorsal:                 p.dorsal || s.dorsal?.toString() || null,
+    position:               p.positionName || (p.position ? String(p.position) : null),
+    is_starter:             s.startFive === true || s.startFive2 === true,
+    minutes:                minutesStr,
+    minutes_decimal:        timePlayed,
+    points:                 s.points ?? 0,
+    field_goals_made:       fgm2 + fgm3,
+    field_goals_attempted:  fga2 + fga3,
+    two_points_made:        fgm2,
+    two_points_attempted:   fga2,
+    three_points_made:      fgm3,
+    three_points_attempted: fga3,
+    free_throws_made:       s.freeThrowsMade ?? 0,
+    free_throws_attempted:  s.freeThrowsAttempted ?? 0,
+    offensive_rebounds:     s.offensiveRebounds ?? 0,
+    defensive_rebounds:     s.defensiveRebounds ?? 0,
+    total_rebounds:         s.totalRebounds ?? (s.offensiveRebounds ?? 0) + (s.defensiveRebounds ?? 0),
+    assists:                s.assistances ?? 0,
+    turnovers:              s.turnovers ?? 0,
+    steals:                 s.steals ?? 0,
+    blocks_favour:          s.blocksFavour ?? 0,
+    blocks_against:         s.blocksAgainst ?? 0,
+    fouls_committed:        s.foulsCommited ?? 0,  // typo in API: "Commited"
+    fouls_received:         s.foulsReceived ?? 0,
+    pir:                    s.valuation ?? 0,
+    plus_minus:             s.plusMinus ?? 0,
+    raw_data:               entry,
+    synced_at:              new Date().toISOString(),
+  };
+}
+
+// ============================================================
+// EXTRACT PLAYERS FROM /stats RESPONSE
+// Structure: { local: { players: [{player, stats}], team, coach }, road: { ... } }
+// ============================================================
+export function extractPlayers(statsData, gameCode, seasonCode, competition, round, gameDate) {
+  const players = [];
+  const gameInfo = { gameCode, seasonCode, competition, round, gameDate };
+
+  for (const side of ["local", "road"]) {
+    const sideData = statsData?.[side];
+    if (!sideData?.players) continue;
+
+    const isLocal = side === "local";
+    // Get team info from the first player's club, or from team obj
+    const teamObj = sideData.team || {};
+    const firstClub = sideData.players[0]?.player?.club || {};
+    const teamCode = firstClub.code || teamObj.code || null;
+    const teamName = firstClub.editorialName || firstClub.abbreviatedName || teamObj.name || null;
+    const teamTvCode = firstClub.tvCode || teamObj.tvCode || null;
+
+    for (const entry of sideData.players) {
+      const personCode = entry.player?.person?.code;
+      if (!personCode) continue; // skip entries without a player code
+      // Skip coaches (type "C") — only include players (type "J")
+      if (entry.player?.type && entry.player.type !== "J") continue;
+
+      players.push(transformPlayerStats(entry, gameInfo, teamCode, teamName, teamTvCode, isLocal));
+    }
+  }
+
+  return players;
+}
+
+// ============================================================
+// TRANSFORM: Play-by-play feed → play_by_play rows
+// ============================================================
+// Keyed by (season_code, game_code, play_number). play_number is
+// the feed's own play number, so a live game re-synced later
+// keeps the keys of the events it already had. A repeated number
+// keeps its first event.
+// ============================================================
+export function transformPlays(feed, gameCode, seasonCode, competition) {
+  const seen = new Set();
+  const now = new Date().toISOString();
+  const rows = [];
+  for (const p of normalizePlays(feed)) {
+    if (seen.has(p.id)) continue;
+    seen.add(p.id);
+    rows.push({
+      season_code:     seasonCode,
+      game_code:       gameCode,
+      play_number:     p.id,
+      competition:     competition,
+      period:          p.period,
+      clock:           p.clock,
+      elapsed_seconds: p.elapsed,
+      team_code:       p.teamCode || null,
+      person_code:     p.personCode || null,
+      player_name:     p.playerName,
+      play_type:       p.playType || null,
+      play_info:       p.info ?? null,
+      local_score:     p.localScore,
+      road_score:      p.roadScore,
+      synced_at:       now,
+    });
+  }
+  return rows;
+}
+
+// ============================================================
+// TRANSFORM: Standings entry → flat row
+// ============================================================
+// /standings lists one entry per club; field names differ a
+// little between competitions, hence the fallbacks.
+// ============================================================
+export function transformStanding(entry, seasonCode, competition) {
+  const club = entry.club || entry.team || {};
+  const won = pick(entry, "gamesWon", "won", "wins") ?? 0;
+  const lost = pick(entry, "gamesLost", "lost", "losses") ?? 0;
+  const pointsFor = pick(entry, "pointsFor", "ptsFavour", "pointsFavour") ?? 0;
+  const pointsAgainst = pick(entry, "pointsAgainst", "ptsAgainst") ?? 0;
+  return {
+    season_code:      seasonCode,
+    competition:      competition,
+    group_name:       pick(entry, "groupName", "group") ?? entry.group?.name ?? null,
+    position:         pick(entry, "position", "rank") ?? null,
+    team_code:        club.code || null,
+    team_name:        club.editorialName || club.abbreviatedName || club.name || null,
+    team_full_name:   club.name || null,
+    team_tv_code:     club.tvCode || null,
+    team_logo:        club.images?.crest || null,
+    games_played:     pick(entry, "gamesPlayed", "played") ?? won + lost,
+    games_won:        won,
+    games_lost:       lost,
+    points_for:       pointsFor,
+    points_against:   pointsAgainst,
+    points_diff:      pick(entry, "pointsDifference", "difference") ?? pointsFor - pointsAgainst,
+    home_record:      pick(entry, "homeRecord") ?? null,
+    road_record:      pick(entry, "awayRecord", "roadRecord") ?? null,
+    last_ten_record:  pick(entry, "lastTenRecord") ?? null,
+    form:             pick(entry, "last5Form", "lastFiveForm") ?? null,
+    raw_data:         entry,
+  };
+}
+
+// ============================================================
+// TRANSFORM: /persons profile → flat row
+// ============================================================
+export function transformPerson(profile) {
+  const person = profile.person || profile;
+  return {
+    person_code:      person.code || null,
+    name:             person.name || null,
+    alias:            person.alias || null,
+    jersey_name:      person.jerseyName || null,
+    country_code:     person.country?.code || null,
+    country_name:     person.country?.name || null,
+    birth_date:       person.birthDate || null,
+    height:           person.height || null,
+    weight:           person.weight || null,
+    headshot:         person.images?.headshot || profile.images?.headshot || null,
+    raw_data:         profile,
+  };
+}
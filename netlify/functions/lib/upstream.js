@@ -0,0 +1,97 @@
+// ============================================================
+// CACHED UPSTREAM LOADERS
+// Raw EuroLeague resources behind the shared cache, for
+// endpoints that combine several feeds (analysis, lineups, …).
+// Keys are prefixed "raw:" so they never collide with the
+// enriched payloads the single-resource endpoints cache.
+// ============================================================
+
+import { euroFetch, cache } from "../utils.js";
+
+const LIVE_TTL = 60;
+const SEASON_TTL = 300;
+const REGISTRY_TTL = 86400; // competitions and seasons change a few times a year
+export const FINAL_TTL = 3600; // finished games only change on stat corrections
+
+export const isLive = (game) => game?.gameStatus === "Live" || game?.gameStatus === "Playing";
+export const isFinal = (game) => !isLive(game) && (game?.played === true || game?.gameStatus === "Played");
+// "Scheduled" | "Live" | "Played" — the states /api/games filters on
+export const gameState = (game) => (isLive(game) ? "Live" : isFinal(game) ? "Played" : "Scheduled");
+
+function seasonPath(code, seasonCode) {
+  return `/competitions/${code.toUpperCase()}/seasons/${seasonCode}`;
+}
+
+// options: cacheOptions() fields, plus `ttl` to override the default
+// and `fetch` (euroFetch options such as timeout / deadline)
+async function cachedFetch(path, ttl, options = {}) {
+  const { data } = await cache.wrap(`raw:${path}`, options.ttl ?? ttl, () => euroFetch(path, options.fetch), options);
+  return data;
+}
+
+// Game header: clubs, score, partials, status
+export function fetchGame(code, seasonCode, gameNumber, options) {
+  return cachedFetch(`${seasonPath(code, seasonCode)}/games/${gameNumber}`, LIVE_TTL, options);
+}
+
+// Play-by-play feed
+export function fetchPlayByPlay(code, seasonCode, gameNumber, options) {
+  return cachedFetch(`${seasonPath(code, seasonCode)}/games/${gameNumber}/playbyplay`, LIVE_TTL, options);
+}
+
+// Per-player stats feed ({ local: { players }, road: { players } }) — the one sync.js flattens
+export function fetchGameStats(code, seasonCode, gameNumber, options) {
+  return cachedFetch(`${seasonPath(code, seasonCode)}/games/${gameNumber}/stats`, LIVE_TTL, options);
+}
+
+// Club roster (players + staff) for a season
+export async function fetchClubPeople(code, seasonCode, clubCode, options) {
+  const data = await cachedFetch(`${seasonPath(code, seasonCode)}/clubs/${clubCode}/people`, SEASON_TTL, options);
+  const list = Array.isArray(data) ? data : data?.data;
+  return Array.isArray(list) ? list : [];
+}
+
+// Full season schedule, as an array
+export async function fetchSeasonGames(code, seasonCode, options) {
+  const data = await cachedFetch(`${seasonPath(code, seasonCode)}/games`, SEASON_TTL, options);
+  const list = Array.isArray(data) ? data : data?.data;
+  return Array.isArray(list) ? list : [];
+}
+
+// Competitions upstream knows about
+export async function fetchCompetitions(options) {
+  const data = await cachedFetch("/competitions", REGISTRY_TTL, options);
+  const list = Array.isArray(data) ? data : data?.data;
+  return Array.isArray(list) ? list : [];
+}
+
+// Seasons (NextGen: tournaments) of one competition
+export async function fetchSeasons(code, options) {
+  const data = await cachedFetch(`/competitions/${code.toUpperCase()}/seasons`, REGISTRY_TTL, options);
+  const list = Array.isArray(data) ? data : data?.data;
+  return Array.isArray(list) ? list : [];
+}
+
+// ------------------------------------------------------------
+// FAN-OUT
+// Runs fn over items, `concurrency` at a time, and stops starting
+// new batches once less than `headroom` ms remain before
+// `deadline` — so multi-game endpoints return a partial result
+// instead of hitting the function timeout. Items never started
+// come back in `pending`; a retry finds the finished ones cached.
+// ------------------------------------------------------------
+export async function fanOut(items, fn, { concurrency = 5, deadline = null, headroom = 1500 } = {}) {
+  const results = [];
+  const errors = [];
+  let i = 0;
+  for (; i < items.length; i += concurrency) {
+    if (deadline && deadline - Date.now() < headroom) break;
+    const batch = items.slice(i, i + concurrency);
+    const settled = await Promise.allSettled(batch.map(item => fn(item)));
+    settled.forEach((r, j) => {
+      if (r.status === "fulfilled") results.push({ item: batch[j], value: r.value });
+      else errors.push({ item: batch[j], error: r.reason });
+    });
+  }
+  return { results, errors, pending: items.slice(i) };
+}
@@ -0,0 +1,154 @@
+// ============================================================
+// DATA-QUALITY CHECKS
+// Internal consistency of upstream game headers and box scores.
+// Nothing here rejects data — upstream is the source of truth —
+// it only reports what doesn't add up, so broken feeds (NextGen
+// especially) are spotted before users do.
+//
+// Every anomaly has the same shape:
+//   { check, scope: "game" | "team" | "player", teamCode,
+//     personCode, expected, actual, message }
+//
+// Totals that move during a game (team points, minutes, partials)
+// are only checked once the game is final.
+// ============================================================
+
+import { cleanCode } from "./pbp.js";
+import { isFinal } from "./upstream.js";
+
+const REGULATION_MINUTES = 200; // 5 players × 40
+const OT_MINUTES = 25;          // 5 players × 5
+const MINUTES_TOLERANCE = 1;    // timePlayed rounding across a roster
+
+const NON_NEGATIVE = [
+  "points", "minutes_decimal",
+  "two_points_made", "two_points_attempted", "three_points_made", "three_points_attempted",
+  "free_throws_made", "free_throws_attempted",
+  "offensive_rebounds", "defensive_rebounds", "total_rebounds",
+  "assists", "turnovers", "steals", "blocks_favour", "blocks_against",
+  "fouls_committed", "fouls_received",
+];
+
+const SHOT_PAIRS = [
+  ["field_goals_made", "field_goals_attempted"],
+  ["two_points_made", "two_points_attempted"],
+  ["three_points_made", "three_points_attempted"],
+  ["free_throws_made", "free_throws_attempted"],
+];
+
+function anomaly(check, scope, { teamCode = null, personCode = null, expected = null, actual = null }, message) {
+  return { check, scope, teamCode, personCode, expected, actual, message };
+}
+
+// Overtime scores from partials.extraPeriods ({ "1": 8, "2": 10 } or [8, 10])
+function overtimePoints(partials) {
+  const extra = partials?.extraPeriods;
+  if (!extra) return [];
+  return Object.values(extra).filter(v => v !== null && v !== undefined).map(Number);
+}
+
+// ------------------------------------------------------------
+// GAME HEADER — quarter partials add up to the final score
+// ------------------------------------------------------------
+export function validateGame(game) {
+  if (!isFinal(game)) return [];
+  const anomalies = [];
+  for (const side of ["local", "road"]) {
+    const team = game[side];
+    const quarters = [1, 2, 3, 4].map(q => team?.partials?.[`partials${q}`]);
+    if (quarters.some(q => q === null || q === undefined) || team?.score === null || team?.score === undefined) continue;
+    const sum = quarters.reduce((s, q) => s + Number(q), 0) + overtimePoints(team.partials).reduce((s, q) => s + q, 0);
+    if (sum !== Number(team.score)) {
+      anomalies.push(anomaly("PARTIALS_SCORE_MISMATCH", "game", { teamCode: cleanCode(team.club?.code), expected: Number(team.score), actual: sum },
+        `${side} quarter partials sum to ${sum}, final score is ${team.score}`));
+    }
+  }
+  return anomalies;
+}
+
+// ------------------------------------------------------------
+// PLAYER LINE — one player_stats row (raw_data optional)
+// ------------------------------------------------------------
+export function validatePlayer(row) {
+  const who = { teamCode: row.team_code, personCode: row.person_code };
+  const name = row.player_name || row.person_code;
+  const anomalies = [];
+
+  for (const column of NON_NEGATIVE) {
+    if (Number(row[column]) < 0) {
+      anomalies.push(anomaly("NEGATIVE_STAT", "player", { ...who, actual: Number(row[column]) }, `${name}: ${column} is negative`));
+    }
+  }
+
+  for (const [made, attempted] of SHOT_PAIRS) {
+    if (row[made] > row[attempted]) {
+      anomalies.push(anomaly("MADE_EXCEEDS_ATTEMPTED", "player", { ...who, expected: `${made} <= ${attempted}`, actual: `${row[made]} > ${row[attempted]}` },
+        `${name}: ${made} (${row[made]}) exceeds ${attempted} (${row[attempted]})`));
+    }
+  }
+
+  // Upstream's own FG totals, when the feed sends them, must match 2P + 3P
+  const raw = row.raw_data?.stats;
+  if (raw?.fieldGoalsMadeTotal !== undefined && raw.fieldGoalsMadeTotal !== row.field_goals_made) {
+    anomalies.push(anomaly("FIELD_GOALS_MISMATCH", "player", { ...who, expected: row.field_goals_made, actual: raw.fieldGoalsMadeTotal },
+      `${name}: fieldGoalsMadeTotal ${raw.fieldGoalsMadeTotal} ≠ 2PM + 3PM ${row.field_goals_made}`));
+  }
+  if (raw?.fieldGoalsAttemptedTotal !== undefined && raw.fieldGoalsAttemptedTotal !== row.field_goals_attempted) {
+    anomalies.push(anomaly("FIELD_GOALS_MISMATCH", "player", { ...who, expected: row.field_goals_attempted, actual: raw.fieldGoalsAttemptedTotal },
+      `${name}: fieldGoalsAttemptedTotal ${raw.fieldGoalsAttemptedTotal} ≠ 2PA + 3PA ${row.field_goals_attempted}`));
+  }
+
+  const scored = 2 * row.two_points_made + 3 * row.three_points_made + row.free_throws_made;
+  if (scored !== row.points) {
+    anomalies.push(anomaly("PLAYER_POINTS_MISMATCH", "player", { ...who, expected: scored, actual: row.points },
+      `${name}: ${row.points} points but 2·2PM + 3·3PM + FTM = ${scored}`));
+  }
+
+  if (row.offensive_rebounds + row.defensive_rebounds !== row.total_rebounds) {
+    anomalies.push(anomaly("REBOUNDS_MISMATCH", "player", { ...who, expected: row.offensive_rebounds + row.defensive_rebounds, actual: row.total_rebounds },
+      `${name}: ${row.total_rebounds} rebounds but OREB + DREB = ${row.offensive_rebounds + row.defensive_rebounds}`));
+  }
+
+  return anomalies;
+}
+
+// ------------------------------------------------------------
+// BOX SCORE — one game's player_stats rows against the header
+// Returns team/game-level anomalies and the rows with their own
+// player-level anomalies attached (`anomalies`, null when clean).
+// ------------------------------------------------------------
+export function validateBoxscore(rows, game = null) {
+  const players = rows.map(r => {
+    const found = validatePlayer(r);
+    return { ...r, anomalies: found.length > 0 ? found : null };
+  });
+  const anomalies = [];
+
+  for (const side of ["local", "road"]) {
+    const sideRows = rows.filter(r => (side === "local" ? r.is_local : !r.is_local));
+    const header = game?.[side];
+    const teamCode = cleanCode(header?.club?.code) || sideRows[0]?.team_code || null;
+
+    if (sideRows.length === 0) {
+      anomalies.push(anomaly("NO_PLAYERS", "team", { teamCode }, `${side} box score has no players`));
+      continue;
+    }
+    if (!game || !isFinal(game)) continue;
+
+    const points = sideRows.reduce((s, r) => s + (Number(r.points) || 0), 0);
+    if (header?.score !== null && header?.score !== undefined && points !== Number(header.score)) {
+      anomalies.push(anomaly("TEAM_POINTS_MISMATCH", "team", { teamCode, expected: Number(header.score), actual: points },
+        `${side} players scored ${points}, final score is ${header.score}`));
+    }
+
+    const overtimes = Math.max(overtimePoints(game.local?.partials).length, overtimePoints(game.road?.partials).length);
+    const expected = REGULATION_MINUTES + OT_MINUTES * overtimes;
+    const minutes = sideRows.reduce((s, r) => s + (Number(r.minutes_decimal) || 0), 0);
+    if (Math.abs(minutes - expected) > MINUTES_TOLERANCE) {
+      anomalies.push(anomaly("TEAM_MINUTES_MISMATCH", "team", { teamCode, expected, actual: Math.round(minutes * 10) / 10 },
+        `${side} minutes add up to ${Math.round(minutes * 10) / 10}, expected ${expected}${overtimes ? ` (${overtimes} OT)` : ""}`));
+    }
+  }
+
+  return { anomalies, players };
+}
@@ -0,0 +1,292 @@
+// ============================================================
+// OUTBOUND WEBHOOKS — game events pushed to subscribers
+// Whatever sees a game — /api/sync, the scheduled sync, the live
+// stream — hands it to notifyGames(). Each game is compared with
+// the snapshot kept in the shared cache from the last time it was
+// seen, and the differences become events:
+//   game.live        the game tipped off
+//   game.period      a period ended (one event per period)
+//   game.final       the game finished
+//   game.corrected   a finished game's row changed (score / stat fix)
+// A game seen for the first time only records its snapshot (no
+// events for a whole finished season on the first sync), except a
+// live one, which is compared with "Scheduled".
+//
+// Subscriptions come from WEBHOOKS (JSON in the env var) and/or
+// WEBHOOKS_FILE (path to a JSON file), each a list of:
+//   {
+//     "id": "discord-bot",              shown in logs and /api/webhooks
+//     "url": "https://…",               receives a POST per event
+//     "secret": "…",                    HMAC-SHA256 signing key
+//     "events": ["game.final"],         default: every event
+//     "competitions": ["E"],            filters, all optional
+//     "seasonCodes": ["E2025"],
+//     "teams": ["MAD", "BAR"]           either side
+//   }
+//
+// Delivery: JSON body { id, type, createdAt, competition,
+// seasonCode, gameCode, period?, game (transformGame row),
+// changes ({ column: { from, to } }) }, with headers
+//   X-Webhook-Id         event id — the same event is never sent
+//                        twice to one subscription (dedup via cache.incr)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds
+//   X-Webhook-Signature  sha256=<hex HMAC of "<timestamp>.<body>">
+// Network errors, 5xx and 429 are retried with exponential backoff
+// inside the caller's time budget; a delivery that still fails (or
+// didn't start before the deadline) is sent again by the next sync
+// or live poll. Every delivery is logged (last LOG_SIZE per
+// subscription, /api/webhooks).
+//
+// Snapshots and dedup keys live in the cache, so use a shared
+// CACHE_BACKEND in production; with `memory` each container
+// keeps its own.
+// ============================================================
+
+import { createHash, createHmac } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { cache } from "../utils.js";
+import { gameState, fanOut } from "./upstream.js";
+import { cleanCode } from "./pbp.js";
+import { diffRow, IGNORED_COLUMNS } from "./diff.js";
+
+export const EVENT_TYPES = ["game.live", "game.period", "game.final", "game.corrected"];
+
+const SNAPSHOT_TTL = 30 * 86400;
+const DEDUP_SECONDS = 30 * 86400;
+const LOG_SIZE = 20;
+const MAX_ATTEMPTS = 3;
+const BACKOFF_MS = 500;
+const ATTEMPT_TIMEOUT_MS = 5000;
+
+// ------------------------------------------------------------
+// SUBSCRIPTIONS (read once per container)
+// ------------------------------------------------------------
+let _subscriptions = null;
+
+function parseSubscriptions(raw, source) {
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${source} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list)) list = list?.webhooks;
+  if (!Array.isArray(list)) throw new Error(`${source} must be a list of webhooks (or { "webhooks": [...] })`);
+
+  return list.map((w, i) => {
+    const id = w.id || `webhook-${i + 1}`;
+    if (!/^https?:\/\//.test(w.url || "")) throw new Error(`${source}: webhook "${id}" needs an http(s) "url"`);
+    if (!w.secret) throw new Error(`${source}: webhook "${id}" needs a "secret"`);
+    const events = w.events || EVENT_TYPES;
+    const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+    if (unknown.length) throw new Error(`${source}: webhook "${id}" has unknown events ${unknown.join(", ")}`);
+    const upper = (list) => (list?.length ? list.map(v => String(v).trim().toUpperCase()) : null);
+    return {
+      id,
+      url: w.url,
+      secret: w.secret,
+      events,
+      competitions: upper(w.competitions),
+      seasonCodes: upper(w.seasonCodes),
+      teams: upper(w.teams),
+    };
+  });
+}
+
+export function loadSubscriptions() {
+  if (_subscriptions) return _subscriptions;
+  const subs = [];
+  if (process.env.WEBHOOKS) subs.push(...parseSubscriptions(process.env.WEBHOOKS, "WEBHOOKS"));
+  if (process.env.WEBHOOKS_FILE) subs.push(...parseSubscriptions(readFileSync(process.env.WEBHOOKS_FILE, "utf8"), process.env.WEBHOOKS_FILE));
+  _subscriptions = subs;
+  return _subscriptions;
+}
+
+export function webhooksEnabled() {
+  return loadSubscriptions().length > 0;
+}
+
+function wants(sub, event) {
+  const { game } = event;
+  if (!sub.events.includes(event.type)) return false;
+  if (sub.competitions && !sub.competitions.includes(game.competition)) return false;
+  if (sub.seasonCodes && !sub.seasonCodes.includes(game.season_code)) return false;
+  if (sub.teams && !sub.teams.includes(cleanCode(game.local_code)) && !sub.teams.includes(cleanCode(game.road_code))) return false;
+  return true;
+}
+
+// ------------------------------------------------------------
+// EVENTS — snapshot { state, periods, row } before → after
+// ------------------------------------------------------------
+// live_games row without bookkeeping (raw_data, synced_at)
+function gameFields(row) {
+  return Object.fromEntries(Object.entries(row).filter(([column]) => !IGNORED_COLUMNS.has(column)));
+}
+
+const rowState = (row) => gameState({ gameStatus: row.game_status, played: row.played });
+const rowHash = (row) => createHash("sha1").update(JSON.stringify(row)).digest("hex").slice(0, 12);
+
+export function gameEvents(before, after) {
+  if (!before) {
+    if (after.state !== "Live") return [];
+    before = { state: "Scheduled", periods: 0, row: null };
+  }
+  const changes = before.row ? diffRow(before.row, after.row) : null;
+  const events = [];
+
+  if (after.state === "Live" && before.state === "Scheduled") events.push({ type: "game.live" });
+  if (after.periods !== null) {
+    for (let period = (before.periods ?? 0) + 1; period <= after.periods; period++) events.push({ type: "game.period", period });
+  }
+  if (after.state === "Played" && before.state !== "Played") events.push({ type: "game.final" });
+  else if (after.state === "Played" && changes) events.push({ type: "game.corrected" });
+
+  return events.map(e => ({ ...e, changes }));
+}
+
+// ------------------------------------------------------------
+// DELIVERY
+// ------------------------------------------------------------
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST one payload, retrying outages → { ok, status, attempts, error }
+export async function deliver(sub, payload, { deadline = null } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "bball-api-webhooks",
+    "X-Webhook-Id": payload.id,
+    "X-Webhook-Event": payload.type,
+    "X-Webhook-Timestamp": String(timestamp),
+    "X-Webhook-Signature": signPayload(sub.secret, timestamp, body),
+  };
+
+  let result;
+  for (let attempt = 1; ; attempt++) {
+    const timeout = deadline ? Math.max(1000, Math.min(ATTEMPT_TIMEOUT_MS, deadline - Date.now())) : ATTEMPT_TIMEOUT_MS;
+    try {
+      const res = await fetch(sub.url, { method: "POST", headers, body, signal: AbortSignal.timeout(timeout) });
+      result = { ok: res.ok, status: res.status, attempts: attempt, error: res.ok ? null : `HTTP ${res.status}` };
+      if (res.ok || (res.status < 500 && res.status !== 429)) return result;
+    } catch (err) {
+      result = { ok: false, status: null, attempts: attempt, error: err.name === "TimeoutError" ? `Timed out after ${timeout}ms` : err.message };
+    }
+    const wait = BACKOFF_MS * 2 ** (attempt - 1);
+    if (attempt >= MAX_ATTEMPTS || (deadline && Date.now() + wait >= deadline)) return result;
+    await sleep(wait);
+  }
+}
+
+async function logDelivery(sub, payload, result) {
+  const key = `webhooks:log:${sub.id}`;
+  const log = (await cache.get(key)) || [];
+  log.unshift({ id: payload.id, type: payload.type, at: new Date().toISOString(), ...result });
+  await cache.set(key, log.slice(0, LOG_SIZE), SNAPSHOT_TTL, 0);
+}
+
+export async function deliveryLog(subId) {
+  return (await cache.get(`webhooks:log:${subId}`)) || [];
+}
+
+// Payload for one event on one game row (gameFields shape)
+function payloadFor(type, game, { id, period = null, changes = null, test = false }) {
+  return {
+    id,
+    type,
+    createdAt: new Date().toISOString(),
+    competition: game.competition,
+    seasonCode: game.season_code,
+    gameCode: game.game_code,
+    ...(period ? { period } : {}),
+    ...(test ? { test: true } : {}),
+    game,
+    changes,
+  };
+}
+
+// Test delivery for /api/webhooks?test=…: a "ping", or an event
+// carrying a real game row. Never deduplicated, still logged.
+export async function sendTest(sub, type, row = null, { deadline = null } = {}) {
+  const id = `test:${Date.now().toString(36)}`;
+  const payload = row
+    ? payloadFor(type, gameFields(row), { id, period: type === "game.period" ? 1 : null, test: true })
+    : { id, type, createdAt: new Date().toISOString(), test: true };
+  const result = await deliver(sub, payload, { deadline });
+  await logDelivery(sub, payload, result).catch(() => {});
+  return { payload, result };
+}
+
+// ------------------------------------------------------------
+// notifyGames — observations: [{ row, periods }]
+//   row      transformGame() row
+//   periods  periods ended so far (lib/live.js periodsEnded),
+//            null when the caller has no play-by-play
+// → { events, delivered, skipped, failed } (null with no subscriptions)
+//
+// A game's new snapshot is only saved once every delivery it
+// produced went out (or was another caller's to send). Otherwise
+// the previous snapshot stays (or is put back), so the next sync or
+// live poll derives the same events again; the ones that did go out
+// are skipped by their dedup key, and a failed one releases its key.
+// ------------------------------------------------------------
+export async function notifyGames(observations, { deadline = null } = {}) {
+  const subs = loadSubscriptions();
+  if (subs.length === 0) return null;
+
+  const seen = [];
+  await fanOut(observations, async ({ row, periods = null }) => {
+    const key = `webhooks:game:${row.season_code}:${row.game_code}`;
+    const before = await cache.get(key);
+    const game = gameFields(row);
+    const after = { state: rowState(row), periods: periods ?? before?.periods ?? null, row: game };
+    if (!before && after.state === "Scheduled") return;
+
+    const events = gameEvents(before, after).map(e => {
+      const suffix = e.type === "game.period" ? `:${e.period}` : e.type === "game.corrected" ? `:${rowHash(game)}` : "";
+      const id = `${row.season_code}:${row.game_code}:${e.type}${suffix}`;
+      return payloadFor(e.type, game, { id, period: e.period, changes: e.changes });
+    });
+    seen.push({ key, before, after, events, done: true });
+  }, { concurrency: 10 });
+
+  const jobs = seen.flatMap(g => g.events.flatMap(event => subs.filter(sub => wants(sub, event)).map(sub => ({ game: g, sub, event }))));
+  const summary = { events: seen.reduce((n, g) => n + g.events.length, 0), delivered: 0, skipped: 0, failed: [] };
+  const { errors, pending } = await fanOut(jobs, async ({ game, sub, event }) => {
+    // First caller to count this event for this subscription sends it
+    const dedupKey = `webhooks:sent:${sub.id}:${event.id}`;
+    if (await cache.incr(dedupKey, 1, DEDUP_SECONDS) > 1) {
+      summary.skipped++;
+      return;
+    }
+    const result = await deliver(sub, event, { deadline });
+    await logDelivery(sub, event, result).catch(() => {});
+    if (result.ok) {
+      summary.delivered++;
+      return;
+    }
+    game.done = false;
+    await cache.delete(dedupKey).catch(() => {});
+    summary.failed.push({ webhook: sub.id, event: event.id, error: result.error });
+  }, { concurrency: 5, deadline });
+
+  for (const { item, error } of errors) {
+    item.game.done = false;
+    summary.failed.push({ webhook: item.sub.id, event: item.event.id, error: error.message });
+  }
+  for (const { game, sub, event } of pending) {
+    game.done = false;
+    summary.failed.push({ webhook: sub.id, event: event.id, error: "Not sent before the deadline, retried on the next run" });
+  }
+
+  // A live game seen for the first time rolls back to "Scheduled"
+  const unseen = { state: "Scheduled", periods: 0, row: null };
+  await Promise.all(seen.map(({ key, before, after, done }) => cache.set(key, done ? after : before || unseen, SNAPSHOT_TTL, 0)));
+
+  return summary;
+}
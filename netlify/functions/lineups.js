@@ -0,0 +1,105 @@
+// ============================================================
+// /api/lineups — Lineup & On/Off Stats
+// ============================================================
+// Usage:
+//   /api/lineups?season=2025&code=E&gameNumber=1                ← both teams, one game
+//   /api/lineups?code=E&gameNumber=1&teamCode=MAD
+//   /api/lineups?code=E&season=2025&teamCode=MAD&games=1,5,9     ← aggregate over games
+//   /api/lineups?code=E&season=2025&teamCode=MAD                 ← whole season so far
+//
+// Params:
+//   minMinutes — hide lineups with less court time (default 0)
+//
+// Replays the play-by-play from the box-score starters to know
+// the five on court at every event. Each game's reconstruction
+// is cached, so a season request that runs out of time returns
+// what it has (`complete: false`) and the next call finishes it.
+// ============================================================
+
+import {
+  jsonResponse, errorResponse,
+  upstreamErrorResponse, cache, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import {
+  fetchGame, fetchPlayByPlay, fetchGameStats, fetchSeasonGames,
+  fanOut, isFinal, gameState, FINAL_TTL,
+} from "./lib/upstream.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { normalizePlays, sideCodes, cleanCode } from "./lib/pbp.js";
+import { extractPlayers } from "./lib/transform.js";
+import { reconstructLineups, summarizeLineups } from "./lib/lineups.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/lineups");
+const BUDGET_MS = 8000;
+
+// One game's reconstruction, cached for an hour once the game is final
+async function gameLineups(code, seasonCode, game, options) {
+  const gameNumber = game.gameCode;
+  const ttl = isFinal(game) ? FINAL_TTL : ROUTE.cacheTtl;
+  const { data } = await cache.wrap(`lineups:game:${seasonCode}:${gameNumber}`, ttl, async () => {
+    const upstream = { ...options, ttl };
+    const [feed, stats] = await Promise.all([
+      fetchPlayByPlay(code, seasonCode, gameNumber, upstream),
+      fetchGameStats(code, seasonCode, gameNumber, upstream),
+    ]);
+    const roster = extractPlayers(stats, gameNumber, seasonCode, code, game.round, game.utcDate || game.date);
+    return { gameCode: gameNumber, ...reconstructLineups(normalizePlays(feed), sideCodes(game, feed), roster) };
+  }, options);
+  return data;
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
+
+  try {
+    const { code, gameNumber, games: gamesFilter, minMinutes } = params;
+    const teamCode = cleanCode(params.teamCode) || null;
+
+    const seasonCode = getSeasonCode(params);
+    const options = { ...cacheOptions(params, context), fetch: { deadline } };
+
+    // Which games to replay
+    let targets;
+    if (gameNumber) {
+      targets = [await fetchGame(code, seasonCode, gameNumber, options)];
+      targets[0] = { ...targets[0], gameCode: targets[0].gameCode ?? gameNumber };
+    } else {
+      const wanted = gamesFilter?.length ? new Set(gamesFilter) : null;
+      targets = (await fetchSeasonGames(code, seasonCode, options))
+        .filter(g => g.played === true || g.gameStatus === "Played" || g.gameStatus === "Live" || g.gameStatus === "Playing")
+        .filter(g => cleanCode(g.local?.club?.code) === teamCode || cleanCode(g.road?.club?.code) === teamCode)
+        .filter(g => !wanted || wanted.has(g.gameCode))
+        .sort((a, b) => a.gameCode - b.gameCode);
+      if (targets.length === 0) return errorResponse(`No played games for team ${teamCode} in ${seasonCode}`, 404);
+    }
+
+    const { results, errors, pending } = await fanOut(
+      targets,
+      game => gameLineups(code, seasonCode, game, options),
+      { concurrency: 4, deadline }
+    );
+    if (results.length === 0 && errors.length > 0) throw errors[0].error;
+
+    const reconstructed = results.map(r => r.value);
+    const teams = summarizeLineups(reconstructed, { teamCode, minMinutes });
+    const complete = pending.length === 0 && errors.length === 0;
+
+    return jsonResponse({
+      seasonCode,
+      gameCodes: reconstructed.map(g => g.gameCode),
+      complete,
+      teams,
+      pending: pending.length > 0 ? pending.map(g => g.gameCode) : undefined,
+      errors: errors.length > 0 ? errors.slice(0, 5).map(e => `Game ${e.item.gameCode}: ${e.error.message}`) : undefined,
+      warnings: reconstructed.flatMap(g => g.warnings.map(w => `Game ${g.gameCode}: ${w}`)).slice(0, 20),
+      _meta: {
+        source: "bball-api",
+        generatedAt: new Date().toISOString(),
+        params: { code, seasonCode, gameNumber: gameNumber || null, teamCode, minMinutes },
+      },
+    }, 200, cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, state: gameNumber ? gameState(targets[0]) : null, complete }));
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to build lineups");
+  }
+});
@@ -0,0 +1,208 @@
+// ============================================================
+// /api/live/stream — Live Game Events (Server-Sent Events)
+// ============================================================
+// Usage:
+//   /api/live/stream?code=E&gameNumber=12
+//   /api/live/stream?code=E&round=5              ← every game of the round
+//   /api/live/stream?code=E&gameNumber=12&interval=3
+//
+//   const es = new EventSource("/api/live/stream?code=E&gameNumber=12");
+//   es.addEventListener("score", e => render(JSON.parse(e.data)));
+//   es.addEventListener("end", () => es.close());
+//
+// Events: status, play, score, period, final (replayable, see
+// lib/live.js), boxscore (changed player lines), warning (a
+// poll failed; the stream carries on) and end.
+//
+// Polls the game header, play-by-play and box score through the
+// shared cache with TTL = interval, so any number of listeners
+// cost one upstream call per feed per interval. A connection
+// lasts LIVE_STREAM_SECONDS (default 9, inside Netlify's default
+// function timeout); EventSource then reconnects with
+// Last-Event-ID and only the missed events are sent. Once every
+// game is final and delivered the stream sends `end`, and a
+// reconnect gets 204, which stops EventSource for good. A final
+// header whose feed has no "EG" play yet keeps streaming until the
+// end of the next connection, so late plays still go out.
+//
+// Each poll also goes to lib/webhooks.js, so subscribers hear
+// about tip-offs, period ends and finals while anyone listens
+// (a failed run shows up here as a `warning`).
+// ============================================================
+
+import {
+  errorResponse, upstreamErrorResponse, corsHeaders, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import {
+  fetchGame, fetchPlayByPlay, fetchGameStats, fetchSeasonGames, isFinal, gameState,
+} from "./lib/upstream.js";
+import { normalizePlays, sideCodes } from "./lib/pbp.js";
+import { extractPlayers, transformGame } from "./lib/transform.js";
+import {
+  liveEvents, periodsEnded, feedEnded, parseEventId, formatEventId, emptyCursor, unsent, advance,
+  sseMessage, boxLines, lineChanges,
+} from "./lib/live.js";
+import { notifyGames, webhooksEnabled } from "./lib/webhooks.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/live/stream");
+const STREAM_SECONDS = parseInt(process.env.LIVE_STREAM_SECONDS) || 9;
+const RETRY_MS = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One poll of one game → { game, events, lines, periods, ended }
+async function pollGame(code, seasonCode, gameNumber, options) {
+  const game = await fetchGame(code, seasonCode, gameNumber, options);
+  if (gameState(game) === "Scheduled") {
+    return { game, events: liveEvents(game, [], sideCodes(game)), lines: new Map(), periods: null, ended: false };
+  }
+  const [feed, stats] = await Promise.all([
+    fetchPlayByPlay(code, seasonCode, gameNumber, options),
+    fetchGameStats(code, seasonCode, gameNumber, options),
+  ]);
+  const rows = extractPlayers(stats, gameNumber, seasonCode, code, game.round, game.utcDate || game.date);
+  const plays = normalizePlays(feed);
+  return {
+    game,
+    events: liveEvents(game, plays, sideCodes(game, feed)),
+    lines: boxLines(rows),
+    periods: periodsEnded(plays),
+    ended: feedEnded(plays),
+  };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + STREAM_SECONDS * 1000;
+
+  try {
+    const { code, gameNumber, round, interval } = params;
+    const seasonCode = getSeasonCode(params);
+    // Expired feeds are refetched, never served stale, so each poll sees new plays
+    const options = { ...cacheOptions(params, context), ttl: interval, staleTtl: 0, fetch: { deadline } };
+
+    const gameCodes = gameNumber
+      ? [gameNumber]
+      : (await fetchSeasonGames(code, seasonCode, cacheOptions(params, context)))
+        .filter(g => Number(g.round) === round)
+        .map(g => g.gameCode)
+        .sort((a, b) => a - b);
+    if (gameCodes.length === 0) return errorResponse(`No games in round ${round} of ${seasonCode}`, 404);
+
+    // What each game already delivered (the header wins over ?lastEventId=)
+    const resumed = parseEventId(req.headers.get("last-event-id") ?? params.lastEventId);
+    const cursors = new Map(gameCodes.map(g => [g, resumed.get(g) ?? emptyCursor()]));
+    // Finals sent by an earlier connection: late plays had that long to arrive
+    const finalBefore = new Set(gameCodes.filter(g => cursors.get(g).final));
+
+    // Latest successful poll per game; a failed poll keeps the previous one
+    const polls = new Map();
+    const notices = [];
+    const poll = async () => {
+      const settled = await Promise.allSettled(gameCodes.map(g => pollGame(code, seasonCode, g, options)));
+      const failures = [];
+      const observations = [];
+      settled.forEach((r, i) => {
+        if (r.status === "rejected") {
+          failures.push({ gameCode: gameCodes[i], error: r.reason });
+          return;
+        }
+        polls.set(gameCodes[i], r.value);
+        const game = { ...r.value.game, gameCode: r.value.game.gameCode ?? gameCodes[i] };
+        observations.push({ row: transformGame(game, seasonCode, code), periods: r.value.periods });
+      });
+      // Deliveries run beside the stream, not in its way
+      if (webhooksEnabled()) {
+        const notified = notifyGames(observations).catch(err => notices.push(`Webhooks failed: ${err.message}`));
+        context?.waitUntil?.(notified);
+      }
+      return failures;
+    };
+
+    // First poll before streaming, so a bad game number is a plain 404
+    let failures = await poll();
+    if (polls.size === 0) throw failures[0].error;
+
+    // Everything sent and the feed closed; at the end of a connection a
+    // final resumed from an earlier one counts as closed too
+    const delivered = (lastPass = false) => gameCodes.every(g => {
+      const p = polls.get(g);
+      return p && isFinal(p.game) && (p.ended || (lastPass && finalBefore.has(g))) && unsent(p.events, cursors.get(g)).length === 0;
+    });
+    if (delivered()) return new Response(null, { status: 204, headers: corsHeaders });
+
+    const encoder = new TextEncoder();
+    const seen = new Map(gameCodes.map(g => [g, new Map()]));
+    let closed = false;
+
+    const body = new ReadableStream({
+      async start(controller) {
+        const send = (text) => {
+          if (!closed) controller.enqueue(encoder.encode(text));
+        };
+        send(`retry: ${RETRY_MS}\n\n`);
+
+        while (!closed) {
+          let quiet = true;
+          for (const { gameCode, error } of failures) {
+            send(sseMessage("warning", { gameCode, error: error.message }));
+            quiet = false;
+          }
+          for (const error of notices.splice(0)) {
+            send(sseMessage("warning", { error }));
+            quiet = false;
+          }
+          for (const gameCode of gameCodes) {
+            const p = polls.get(gameCode);
+            if (!p) continue;
+            for (const event of unsent(p.events, cursors.get(gameCode))) {
+              cursors.set(gameCode, advance(cursors.get(gameCode), event));
+              send(sseMessage(event.type, { gameCode, ...event.data }, formatEventId(cursors)));
+              quiet = false;
+            }
+            const players = lineChanges(seen.get(gameCode), p.lines);
+            if (players.length > 0) {
+              send(sseMessage("boxscore", { gameCode, players }));
+              quiet = false;
+            }
+            seen.set(gameCode, p.lines);
+          }
+
+          if (delivered()) {
+            send(sseMessage("end", { gameCodes }, formatEventId(cursors)));
+            break;
+          }
+          // Comment line: keeps proxies from closing an idle stream
+          if (quiet) send(": waiting\n\n");
+
+          const wait = Math.min(interval * 1000, deadline - Date.now());
+          if (wait > 0) await sleep(wait);
+          if (closed) break;
+          if (Date.now() >= deadline) {
+            if (delivered(true)) send(sseMessage("end", { gameCodes }, formatEventId(cursors)));
+            break;
+          }
+          failures = await poll();
+        }
+
+        if (!closed) controller.close();
+        closed = true;
+      },
+      cancel() {
+        closed = true;
+      },
+    });
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+        ...corsHeaders,
+      },
+    });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to start live stream");
+  }
+});
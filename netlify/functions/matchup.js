@@ -0,0 +1,128 @@
+// ============================================================
+// /api/matchup — Matchup Preview
+// ============================================================
+// Usage:
+//   /api/matchup?code=E&teamA=MAD&teamB=BAR
+//   /api/matchup?code=E&seasonCode=E2025&teamA=MAD&teamB=BAR&lastN=10&players=5
+//   /api/matchup?code=E&teamA=MAD&teamB=BAR&seasons=E2022,E2023,E2024
+//
+// Returns in one call:
+//   nextGame    — the next scheduled meeting this season (gameNumber,
+//                 round, date, home / road), null when there is none
+//   headToHead  — this season's and all-time meetings and records;
+//                 all-time covers `seasons`, by default every season
+//                 of the competition up to this one (/api/seasons)
+//   teamA/teamB — club, splits with recent form, per-game averages,
+//                 ratings and four factors from box scores, and key
+//                 players (most minutes in the last `lastN` games)
+//                 with their latest lines
+//
+// History and box scores load against one deadline; what didn't
+// make it comes back in pendingSeasons / pendingGames with
+// complete: false, and the next call continues from the cache.
+// ============================================================
+
+import {
+  jsonResponse, errorResponse, upstreamErrorResponse, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import { fetchSeasonGames, fanOut } from "./lib/upstream.js";
+import { cachedSeasonPlayerRows, resolveSource } from "./lib/season-stats.js";
+import { teamInfo, teamSchedule, recordSplits, teamAverages } from "./lib/team.js";
+import { meetings, headToHead, nextMeeting, keyPlayers } from "./lib/matchup.js";
+import { listSeasons, competitionOf } from "./lib/competitions.js";
+import { cacheHeaders, seasonYear } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/matchup");
+const BUDGET_MS = 8000;
+
+// Season codes for the all-time record: the given list, or every
+// season of the competition up to this one
+async function historySeasons(code, seasonCode, seasons, options) {
+  if (seasons?.length) return { seasonCodes: seasons, warning: null };
+  try {
+    const known = await listSeasons(code, options);
+    return { seasonCodes: known.filter(s => s.year <= seasonYear(seasonCode)).map(s => s.seasonCode), warning: null };
+  } catch (err) {
+    return { seasonCodes: [], warning: `Season list unavailable, all-time covers ${seasonCode} only: ${err.message}` };
+  }
+}
+
+// Everything one side needs from this season's games and box scores
+function side(teamCode, games, loaded, { lastN, players }) {
+  const schedule = teamSchedule(games, teamCode);
+  return {
+    team: teamInfo(games, teamCode),
+    splits: recordSplits(schedule, lastN),
+    recent: schedule.filter(g => g.result).slice(-lastN).reverse(),
+    averages: teamAverages(loaded.rows, teamCode),
+    keyPlayers: players > 0 ? keyPlayers(loaded.rows, games, teamCode, { limit: players, window: lastN }) : [],
+  };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
+
+  try {
+    const { code, teamA, teamB, lastN, players } = params;
+    if (teamA === teamB) return errorResponse("teamA and teamB must be different clubs", 400);
+    const seasonCode = getSeasonCode(params);
+    const options = cacheOptions(params, context);
+    const source = resolveSource(params.source);
+
+    const games = await fetchSeasonGames(code, seasonCode, options);
+    const missing = [teamA, teamB].filter(t => !teamInfo(games, t));
+    if (missing.length) return errorResponse(`${missing.join(" and ")} ${missing.length > 1 ? "have" : "has"} no games in ${seasonCode}`, 404);
+
+    const { seasonCodes, warning } = await historySeasons(code, seasonCode, params.seasons, options);
+    const past = seasonCodes.filter(s => s !== seasonCode);
+    const [history, loadedA, loadedB] = await Promise.all([
+      fanOut(past, s => fetchSeasonGames(competitionOf(s), s, { ...options, fetch: { ...options.fetch, deadline } }), { concurrency: 4, deadline }),
+      cachedSeasonPlayerRows(code, seasonCode, { source, teamCode: teamA, deadline, options }),
+      cachedSeasonPlayerRows(code, seasonCode, { source, teamCode: teamB, deadline, options }),
+    ]);
+
+    const current = meetings(games, seasonCode, teamA, teamB);
+    const allTime = [
+      ...history.results.flatMap(({ item, value }) => meetings(value, item, teamA, teamB)),
+      ...current,
+    ].sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")));
+    const scanned = [...history.results.map(r => r.item), seasonCode].sort();
+
+    const pendingGames = { [teamA]: loadedA.pending || [], [teamB]: loadedB.pending || [] };
+    const errors = [
+      ...history.errors.map(e => `Season ${e.item}: ${e.error.message}`),
+      ...(loadedA.errors || []),
+      ...(loadedB.errors || []),
+    ];
+    const warnings = [...(params.warnings || []), ...(warning ? [warning] : [])];
+    const complete = loadedA.complete && loadedB.complete && history.errors.length === 0 && history.pending.length === 0;
+
+    return jsonResponse({
+      seasonCode,
+      nextGame: nextMeeting(games, teamA, teamB),
+      headToHead: {
+        season: headToHead(current, teamA, teamB),
+        allTime: { seasons: scanned, ...headToHead(allTime, teamA, teamB) },
+      },
+      teamA: side(teamA, games, loadedA, { lastN, players }),
+      teamB: side(teamB, games, loadedB, { lastN, players }),
+      complete,
+      pendingSeasons: history.pending.length ? history.pending : undefined,
+      pendingGames: pendingGames[teamA].length || pendingGames[teamB].length ? pendingGames : undefined,
+      errors: errors.length ? errors.slice(0, 5) : undefined,
+      warnings: warnings.length ? warnings : undefined,
+      _meta: {
+        source: "bball-api",
+        dataSource: source,
+        generatedAt: new Date().toISOString(),
+        params: { code, seasonCode, teamA, teamB, seasons: params.seasons || null, lastN, players },
+      },
+    }, 200, {
+      "X-Cache": loadedA.cacheStatus === "HIT" && loadedB.cacheStatus === "HIT" ? "HIT" : complete ? "MISS" : "PARTIAL",
+      ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, complete }),
+    });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to build matchup preview");
+  }
+});
@@ -0,0 +1,12 @@
+// /api/openapi.json — OpenAPI 3 spec generated from lib/routes.js
+// Usage: /api/openapi.json
+//        npx @openapitools/openapi-generator-cli generate -i https://<site>/api/openapi.json -g typescript-fetch -o sdk
+import { jsonResponse } from "./utils.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+import { buildSpec } from "./lib/openapi.js";
+
+const ROUTE = getRoute("/api/openapi.json");
+
+export default withRoute(ROUTE, async (req) => {
+  return jsonResponse(buildSpec({ serverUrl: new URL(req.url).origin }));
+});
@@ -0,0 +1,57 @@
+// ============================================================
+// /api/pbp/analysis — Play-by-Play Analysis
+// ============================================================
+// Usage:
+//   /api/pbp/analysis?season=2025&code=E&gameNumber=1
+//   /api/pbp/analysis?code=J&seasonCode=JA25&gameNumber=1&minRun=6
+//   /api/pbp/analysis?code=E&gameNumber=1&possessions=true
+//
+// Params:
+//   minRun       — smallest unanswered run to report (default 8)
+//   possessions  — include the full possession list (default false)
+//
+// Returns possessions, scoring runs, lead changes, ties,
+// largest lead and time leading per team, and a margin
+// timeline (one point per score change) ready to plot.
+// ============================================================
+
+import {
+  jsonResponse, upstreamErrorResponse, cache, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import { fetchGame, fetchPlayByPlay, gameState } from "./lib/upstream.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { normalizePlays, sideCodes, analyzePlays } from "./lib/pbp.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/pbp/analysis");
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  try {
+    const { code, gameNumber, minRun, possessions: includePossessions } = params;
+    const seasonCode = getSeasonCode(params);
+    const cacheKey = `pbp-analysis:${seasonCode}:${gameNumber}:${minRun}:${includePossessions}`;
+    const options = cacheOptions(params, context);
+
+    const { data, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const [game, feed] = await Promise.all([
+        fetchGame(code, seasonCode, gameNumber, options),
+        fetchPlayByPlay(code, seasonCode, gameNumber, options),
+      ]);
+
+      const plays = normalizePlays(feed);
+      const analysis = analyzePlays(plays, sideCodes(game, feed), { minRun, includePossessions });
+
+      return {
+        ...analysis,
+        _meta: { source: "bball-api", cachedAt: new Date().toISOString(), gameState: gameState(game), params: { code, seasonCode, gameNumber, minRun } },
+      };
+    }, options);
+
+    return jsonResponse(data, 200, {
+      "X-Cache": status,
+      ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, state: data._meta.gameState }),
+    });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to analyze play-by-play");
+  }
+});
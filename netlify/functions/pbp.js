@@ -1,24 +1,21 @@
 // /api/pbp — Play-by-Play
 // Usage: /api/pbp?season=2025&code=E&gameNumber=1
 //        /api/pbp?code=J&seasonCode=JA25&gameNumber=1
-import { handleCors, jsonResponse, errorResponse, euroFetch, cache, getParams, getSeasonCode } from "./utils.js";
-const CACHE_TTL = 60;
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+import { jsonResponse, upstreamErrorResponse, euroFetch, cache, cacheOptions, getSeasonCode } from "./utils.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+const ROUTE = getRoute("/api/pbp");
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E", gameNumber } = params;
-    if (!gameNumber) return errorResponse("Missing required param: gameNumber", 400);
+    const { code, gameNumber } = params;
     const seasonCode = getSeasonCode(params);
     const cacheKey = `pbp:${seasonCode}:${gameNumber}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-    const data = await euroFetch(`/competitions/${code.toUpperCase()}/seasons/${seasonCode}/games/${gameNumber}/playbyplay`);
-    const enriched = { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), totalPlays: Array.isArray(data.data) ? data.data.length : null, params: { code, seasonCode, gameNumber } } };
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { data: enriched, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const data = await euroFetch(`/competitions/${code}/seasons/${seasonCode}/games/${gameNumber}/playbyplay`);
+      return { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), totalPlays: Array.isArray(data.data) ? data.data.length : null, params: { code, seasonCode, gameNumber } } };
+    }, cacheOptions(params, context));
+    return jsonResponse(enriched, 200, { "X-Cache": status, ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode }) });
   } catch (err) {
-    return errorResponse(`Failed to fetch play-by-play: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch play-by-play");
   }
-};
+});
@@ -1,35 +1,139 @@
 // /api/player — Player Profile & Stats
 // Usage: /api/player?code=E&personCode=ABC
 //        /api/player?code=J&personCode=ABC&seasonCode=JA25&stats=true
-import { handleCors, jsonResponse, errorResponse, euroFetch, cache, getParams, getSeasonCode } from "./utils.js";
-const CACHE_TTL = 300;
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+//        /api/player?code=E&personCode=ABC&seasonCode=E2025&gamelog=true[&teamCode=MAD,BAR]
+//        /api/player?personCode=ABC&career=true&seasons=E2023,E2024,U2022,JA25
+//
+// gamelog — one row per game (player_stats shape + opponent/result), DNPs flagged
+// career  — per season, per team lines (+ "TOT" when a player switched teams),
+//           career and per-competition totals. Competition comes from each
+//           seasonCode's first letter (E, U, J).
+// teamCode narrows the box scores loaded; without it the whole season is scanned.
+// shape=normalized (lib/normalize.js) covers the profile, stats and gamelog;
+// career lines are already bball-api's own shape.
+import { jsonResponse, errorResponse, upstreamErrorResponse, euroFetch, UpstreamError, cache, cacheOptions, getSeasonCode } from "./utils.js";
+import { cachedSeasonPlayerRows, resolveSource } from "./lib/season-stats.js";
+import { fetchSeasonGames } from "./lib/upstream.js";
+import { cleanCode } from "./lib/pbp.js";
+import { gameLog, statLine, careerLines } from "./lib/player.js";
+import { competitionOf } from "./lib/competitions.js";
+import { normalizePerson, normalizeSeasonStats, normalizeLogEntry, normalizeStats, normalizedMeta } from "./lib/normalize.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+const ROUTE = getRoute("/api/player");
+const BUDGET_MS = 8000;
+
+// player_stats rows for one season, across one or more team hints
+async function seasonRows(code, seasonCode, teamCodes, source, deadline, options) {
+  const loads = [];
+  for (const teamCode of teamCodes.length ? teamCodes : [null]) {
+    loads.push(await cachedSeasonPlayerRows(code, seasonCode, { source, teamCode, deadline, options }));
+  }
+  const seen = new Set();
+  const rows = loads.flatMap(l => l.rows).filter(r => {
+    const key = `${r.season_code}:${r.game_code}:${r.person_code}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return {
+    rows,
+    complete: loads.every(l => l.complete),
+    pending: loads.flatMap(l => l.pending || []),
+    errors: loads.flatMap(l => l.errors || []),
+  };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
   try {
-    const params = getParams(req);
-    const { code = "E", personCode, season, stats } = params;
-    if (!personCode) return errorResponse("Missing required param: personCode", 400);
-    const includeStats = stats === "true" || stats === "1";
-    const cacheKey = `player:${code}:${personCode}:${season || "none"}:${includeStats}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-    const profile = await euroFetch(`/competitions/${code.toUpperCase()}/persons/${personCode}`);
-    let result = { profile };
-    if (includeStats && (season || params.seasonCode)) {
+    const { code, personCode, season, stats: includeStats, shape } = params;
+    // Rows keep the upstream code ("P011187") and lib/player.js cleans both
+    // sides before comparing; upstream /persons takes it as given
+    const rowCode = cleanCode(personCode);
+    const normalized = shape === "normalized";
+    const options = cacheOptions(params, context);
+    const source = resolveSource(params.source);
+    const teamCodes = params.teamCode || [];
+
+    if (params.gamelog) {
+      if (!season && !params.seasonCode) return errorResponse("gamelog needs season or seasonCode", 400);
       const seasonCode = getSeasonCode(params);
-      try {
-        const seasonStats = await euroFetch(`/competitions/${code.toUpperCase()}/seasons/${seasonCode}/people/${personCode}/stats`);
-        result.seasonStats = seasonStats;
-      } catch {
-        result.seasonStats = null;
-        result._warnings = ["Season stats not available for this player/season"];
+      const [loaded, games] = await Promise.all([
+        seasonRows(code, seasonCode, teamCodes, source, deadline, options),
+        fetchSeasonGames(code, seasonCode, options),
+      ]);
+      const log = gameLog(loaded.rows, rowCode, games);
+      const summary = statLine(log);
+      const meta = { source: "bball-api", dataSource: source, generatedAt: new Date().toISOString(), params: { code, personCode, seasonCode, teamCodes } };
+      return jsonResponse({
+        personCode,
+        seasonCode,
+        teams: [...new Set(log.map(r => normalized ? cleanCode(r.team_code) : r.team_code))],
+        summary: normalized ? { games: summary.games, starts: summary.starts, dnp: summary.dnp, totals: normalizeStats(summary.totals) } : summary,
+        games: normalized ? log.map(normalizeLogEntry) : log,
+        complete: loaded.complete,
+        pendingGames: loaded.pending.length ? loaded.pending : undefined,
+        errors: loaded.errors.length ? loaded.errors.slice(0, 5) : undefined,
+        _meta: normalized ? normalizedMeta(meta) : meta,
+      }, 200, cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, complete: loaded.complete }));
+    }
+
+    if (params.career) {
+      if (normalized) return errorResponse("shape=normalized covers the profile, stats and gamelog, not career", 400);
+      const seasonCodes = params.seasons?.length ? params.seasons : (params.seasonCode ? [params.seasonCode] : []);
+      if (seasonCodes.length === 0) return errorResponse("career needs seasons=E2023,E2024,…", 400);
+      const rows = [];
+      const pending = {};
+      const errors = [];
+      for (const seasonCode of seasonCodes) {
+        const loaded = await seasonRows(competitionOf(seasonCode), seasonCode, teamCodes, source, deadline, options);
+        rows.push(...loaded.rows);
+        if (loaded.pending.length) pending[seasonCode] = loaded.pending;
+        errors.push(...loaded.errors);
+      }
+      const complete = Object.keys(pending).length === 0 && errors.length === 0;
+      return jsonResponse({
+        personCode,
+        ...careerLines(rows, rowCode),
+        complete,
+        pendingGames: Object.keys(pending).length ? pending : undefined,
+        errors: errors.length ? errors.slice(0, 5) : undefined,
+        _meta: { source: "bball-api", dataSource: source, generatedAt: new Date().toISOString(), params: { personCode, seasons: seasonCodes, teamCodes } },
+      }, 200, cacheHeaders({ ttl: ROUTE.cacheTtl, complete }));
+    }
+
+    const seasonCode = includeStats && (season || params.seasonCode) ? getSeasonCode(params) : null;
+    const cacheKey = `player:${code}:${personCode}:${seasonCode || "none"}:${includeStats}`;
+    const { data: result, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const profile = await euroFetch(`/competitions/${code}/persons/${personCode}`);
+      const result = { profile };
+      if (seasonCode) {
+        try {
+          const seasonStats = await euroFetch(`/competitions/${code}/seasons/${seasonCode}/people/${personCode}/stats`);
+          result.seasonStats = seasonStats;
+        } catch (err) {
+          // Only "no stats for this season" is a null; an outage fails the request
+          if (!(err instanceof UpstreamError) || err.status !== 404) throw err;
+          result.seasonStats = null;
+          result._warnings = [`No season stats for ${personCode} in ${seasonCode} (upstream 404)`];
+        }
       }
+      result._meta = { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, personCode, seasonCode, includeStats } };
+      return result;
+    }, options);
+    const headers = { "X-Cache": status, ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode }) };
+    if (normalized) {
+      const { profile, seasonStats, _meta, ...rest } = result;
+      return jsonResponse({
+        profile: normalizePerson(profile),
+        ...(seasonCode ? { seasonStats: normalizeSeasonStats(seasonStats) } : {}),
+        ...rest,
+        _meta: normalizedMeta(_meta),
+      }, 200, headers);
     }
-    result._meta = { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, personCode, includeStats } };
-    cache.set(cacheKey, result, CACHE_TTL);
-    return jsonResponse(result, 200, { "X-Cache": "MISS" });
+    return jsonResponse(result, 200, headers);
   } catch (err) {
-    return errorResponse(`Failed to fetch player data: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch player data");
   }
-};
+});
@@ -1,24 +1,32 @@
 // /api/rounds — Round/Gameday Data
 // Usage: /api/rounds?season=2025&code=E
 //        /api/rounds?code=J&seasonCode=JA25&round=1
-import { handleCors, jsonResponse, errorResponse, euroFetch, cache, getParams, getSeasonCode } from "./utils.js";
-const CACHE_TTL = 300;
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+//        /api/rounds?code=E&roundFrom=5&roundTo=8&fields=round,name   ← list conventions from lib/list.js
+import { jsonResponse, upstreamErrorResponse, euroFetch, cache, cacheOptions, getSeasonCode } from "./utils.js";
+import { listOf, withList, sortBy, paginate, inRange } from "./lib/list.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { paramErrorResponse, getRoute, withRoute } from "./lib/routes.js";
+const ROUTE = getRoute("/api/rounds");
+const roundKey = (r) => [r.round === null || r.round === undefined ? null : Number(r.round)];
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E", round } = params;
+    const { code, round, fields } = params;
     const seasonCode = getSeasonCode(params);
     const roundPath = round ? `/${round}` : "";
     const cacheKey = `rounds:${seasonCode}:${round || "all"}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-    const data = await euroFetch(`/competitions/${code.toUpperCase()}/seasons/${seasonCode}/rounds${roundPath}`);
-    const enriched = { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode, round: round || "all" } } };
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { data: enriched, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const data = await euroFetch(`/competitions/${code}/seasons/${seasonCode}/rounds${roundPath}`);
+      return { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode, round: round || "all" } } };
+    }, cacheOptions(params, context));
+    const http = cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode });
+    if (round) return jsonResponse(enriched, 200, { "X-Cache": status, ...http });
+
+    const { _meta, ...payload } = enriched;
+    const rounds = listOf(payload).filter(r => inRange(roundKey(r)[0], params.roundFrom, params.roundTo));
+    const page = paginate(sortBy(rounds, roundKey, params.order), roundKey, params);
+    if (page.error) return paramErrorResponse([page.error]);
+    return jsonResponse({ ...withList(payload, page, fields), _meta }, 200, { "X-Cache": status, ...http });
   } catch (err) {
-    return errorResponse(`Failed to fetch rounds: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch rounds");
   }
-};
+});
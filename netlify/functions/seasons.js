@@ -0,0 +1,55 @@
+// ============================================================
+// /api/seasons — Seasons of a Competition
+// ============================================================
+// Usage:
+//   /api/seasons?code=E
+//   /api/seasons?code=J     ← NextGen tournaments (JA25, JBO25, …)
+//
+// Newest first, with the current season flagged; it is what
+// season=current resolves to everywhere else. NextGen venues (and
+// missing dates) come from each tournament's games, so the first
+// call may be partial (complete: false) — a retry finds the
+// finished ones cached. Cached for a day.
+// ============================================================
+
+import { jsonResponse, upstreamErrorResponse, cache, cacheOptions } from "./utils.js";
+import { COMPETITIONS, listSeasons, currentOf, withGameDetails } from "./lib/competitions.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/seasons");
+const BUDGET_MS = 8000;
+
+async function loadSeasons(code, options, deadline) {
+  let seasons = await listSeasons(code, options);
+  let complete = true;
+  if (COMPETITIONS[code].kind === "tournaments") ({ seasons, complete } = await withGameDetails(code, seasons, { options, deadline }));
+  const current = currentOf(seasons);
+  return {
+    competition: { code, ...COMPETITIONS[code] },
+    currentSeason: current,
+    data: seasons.map(s => ({ ...s, current: s.seasonCode === current })),
+    complete,
+    _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code } },
+  };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
+  try {
+    const { code } = params;
+    const options = cacheOptions(params, context);
+    const cacheKey = `seasons:${code}`;
+
+    // Only a complete list is cached; a partial one left its games in the cache
+    let data = options.refresh ? null : await cache.get(cacheKey);
+    const status = data ? "HIT" : "MISS";
+    if (!data) {
+      data = await loadSeasons(code, options, deadline);
+      if (data.complete) await cache.set(cacheKey, data, ROUTE.cacheTtl);
+    }
+    return jsonResponse(data, 200, { "X-Cache": status, ...cacheHeaders({ ttl: ROUTE.cacheTtl, complete: data.complete }) });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to fetch seasons");
+  }
+});
@@ -0,0 +1,102 @@
+// ============================================================
+// /api/standings/simulate — Playoff Odds (Monte Carlo)
+// ============================================================
+// Usage:
+//   /api/standings/simulate?code=E
+//   /api/standings/simulate?code=E&iterations=20000&seed=7
+//   /api/standings/simulate?code=E&round=20                ← odds as they stood after round 20
+//   /api/standings/simulate?code=E&fix=301:MAD,305:88-80   ← what-if results
+//
+// Plays the rest of the regular season `iterations` times with
+// ratings fed from the results so far (lib/standings.js), ranks
+// every run with the EuroLeague tiebreakers and counts where each
+// team finished: first, top 4 (home court), top 6 (playoffs),
+// 7–10 (play-in), 11+ (out). Percentages, 0–100.
+//
+// fix: gameCode:winnerCode fixes only the winner (the margin is
+// still drawn, so tiebreaks stay realistic); gameCode:85-80 fixes
+// the score (home first). Played games can be fixed too.
+//
+// Seeded: the same inputs give the same odds, so the response
+// caches and revalidates (ETag) like any other.
+// ============================================================
+
+import {
+  jsonResponse, errorResponse, upstreamErrorResponse, cache, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import { fetchSeasonGames } from "./lib/upstream.js";
+import { seasonResults, simulateSeason, parseFix, ZONES } from "./lib/standings.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { paramErrorResponse, getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/standings/simulate");
+
+// fix=… → { fixed: Map gameCode → fix, list, errors }
+function resolveFixes(fixes, { played, remaining }) {
+  const games = new Map([...played, ...remaining].map(g => [g.gameCode, g]));
+  const fixed = new Map();
+  const list = [];
+  const errors = [];
+  for (const text of fixes) {
+    const fix = parseFix(text);
+    const game = games.get(fix.gameCode);
+    if (!game) {
+      errors.push({ param: "fix", message: `fix ${text}: game ${fix.gameCode} isn't a regular-season game`, value: text });
+      continue;
+    }
+    if (fix.winner && fix.winner !== game.home && fix.winner !== game.road) {
+      errors.push({ param: "fix", message: `fix ${text}: game ${fix.gameCode} is ${game.home} vs ${game.road}`, value: text });
+      continue;
+    }
+    if (!fix.winner && fix.homeScore === fix.roadScore) {
+      errors.push({ param: "fix", message: `fix ${text}: games can't end level`, value: text });
+      continue;
+    }
+    const result = fix.winner
+      ? { winner: fix.winner === game.home ? "home" : "road" }
+      : { homeScore: fix.homeScore, roadScore: fix.roadScore };
+    fixed.set(fix.gameCode, result);
+    list.push({ gameCode: fix.gameCode, round: game.round, home: game.home, road: game.road, ...result, replacesResult: game.homeScore !== undefined });
+  }
+  return { fixed, list, errors };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  try {
+    const { code, iterations, seed, round } = params;
+    const seasonCode = getSeasonCode(params);
+    const options = cacheOptions(params, context);
+
+    const games = await fetchSeasonGames(code, seasonCode, options);
+    const results = seasonResults(games, { asOfRound: round ?? null });
+    if (results.teams.length < 2) return errorResponse(`No regular-season games in ${seasonCode}`, 404);
+    if (new Set(results.teams.map(t => t.group)).size > 1) {
+      return errorResponse(`${seasonCode} has a group stage; the simulation needs a single-table regular season`, 400);
+    }
+
+    const { fixed, list, errors } = resolveFixes(params.fix || [], results);
+    if (errors.length > 0) return paramErrorResponse(errors);
+
+    const fixKey = [...fixed.entries()].map(([g, f]) => `${g}=${f.winner ?? `${f.homeScore}-${f.roadScore}`}`).sort().join(",");
+    const cacheKey = `standings-sim:${seasonCode}:${round ?? "now"}:${iterations}:${seed}:${fixKey}`;
+    const { data, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const sim = simulateSeason(results, { iterations, seed, fixed });
+      return {
+        seasonCode,
+        asOfRound: round ?? null,
+        iterations,
+        seed,
+        zones: ZONES,
+        model: { homeEdge: sim.homeEdge, gamesRated: results.played.filter(g => !fixed.has(g.gameCode)).length },
+        remainingGames: sim.open,
+        fixed: list,
+        data: sim.rows,
+        _meta: { source: "bball-api", generatedAt: new Date().toISOString(), params: { code, seasonCode, round: round ?? null, iterations, seed, fix: params.fix || [] } },
+      };
+    }, options);
+
+    return jsonResponse(data, 200, { "X-Cache": status, ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode }) });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to simulate standings");
+  }
+});
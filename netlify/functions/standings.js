@@ -1,23 +1,59 @@
 // /api/standings — Competition Standings
 // Usage: /api/standings?season=2025&code=E
 //        /api/standings?code=J&seasonCode=JA25
-import { handleCors, jsonResponse, errorResponse, euroFetch, cache, getParams, getSeasonCode } from "./utils.js";
-const CACHE_TTL = 300;
-export default async (req) => {
-  const corsRes = handleCors(req);
-  if (corsRes) return corsRes;
+//        /api/standings?code=E&format=csv   ← one row per team, club fields as club_code, club_name, …
+//        /api/standings?code=U&shape=normalized   ← lib/normalize.js schema (format=csv too)
+//        /api/standings?code=E&computed=true       ← from /games results, EuroLeague tiebreakers (lib/standings.js)
+//        /api/standings?code=E&round=10            ← the table as it stood after round 10
+// Playoff odds: /api/standings/simulate (standings-simulate.js)
+import { jsonResponse, upstreamErrorResponse, euroFetch, cache, cacheOptions, getSeasonCode } from "./utils.js";
+import { fetchSeasonGames } from "./lib/upstream.js";
+import { seasonResults, computeStandings } from "./lib/standings.js";
+import { tabularResponse } from "./lib/format.js";
+import { listOf } from "./lib/list.js";
+import { normalizeStandings, normalizedMeta } from "./lib/normalize.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+const ROUTE = getRoute("/api/standings");
+
+// The table from /games results, as of `round` when given
+async function computedStandings(params, seasonCode, context) {
+  const { code, round, format } = params;
+  const games = await fetchSeasonGames(code, seasonCode, cacheOptions(params, context));
+  const results = seasonResults(games, { asOfRound: round ?? null });
+  const rows = computeStandings(results);
+  const http = cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode });
+  if (format !== "json") {
+    return tabularResponse(rows, format, { filename: `standings-${seasonCode}${round ? `-round-${round}` : ""}`, headers: http });
+  }
+  const lastRound = results.played.reduce((max, g) => Math.max(max, g.round ?? 0), 0) || null;
+  return jsonResponse({
+    data: rows,
+    asOfRound: round ?? lastRound,
+    gamesCounted: results.played.length,
+    _meta: normalizedMeta({ source: "bball-api", computed: true, generatedAt: new Date().toISOString(), params: { code, seasonCode, round: round ?? null } }),
+  }, 200, http);
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
   try {
-    const params = getParams(req);
-    const { code = "E" } = params;
+    const { code, format, shape, round } = params;
     const seasonCode = getSeasonCode(params);
+    if (params.computed || round) return computedStandings(params, seasonCode, context);
     const cacheKey = `standings:${seasonCode}`;
-    const cached = cache.get(cacheKey);
-    if (cached) return jsonResponse(cached, 200, { "X-Cache": "HIT" });
-    const data = await euroFetch(`/competitions/${code.toUpperCase()}/seasons/${seasonCode}/standings`);
-    const enriched = { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode } } };
-    cache.set(cacheKey, enriched, CACHE_TTL);
-    return jsonResponse(enriched, 200, { "X-Cache": "MISS" });
+    const { data: enriched, status } = await cache.wrap(cacheKey, ROUTE.cacheTtl, async () => {
+      const data = await euroFetch(`/competitions/${code}/seasons/${seasonCode}/standings`);
+      return { ...data, _meta: { source: "bball-api", cachedAt: new Date().toISOString(), params: { code, seasonCode } } };
+    }, cacheOptions(params, context));
+    const http = cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode });
+    const { _meta, ...data } = enriched;
+    const normalized = shape === "normalized" ? normalizeStandings(listOf(data), seasonCode, code) : null;
+    if (format !== "json") {
+      return tabularResponse(normalized || listOf(data), format, { filename: `standings-${seasonCode}`, headers: { "X-Cache": status, ...http } });
+    }
+    if (normalized) return jsonResponse({ data: normalized, _meta: normalizedMeta(_meta) }, 200, { "X-Cache": status, ...http });
+    return jsonResponse(enriched, 200, { "X-Cache": status, ...http });
   } catch (err) {
-    return errorResponse(`Failed to fetch standings: ${err.message}`, 502);
+    return upstreamErrorResponse(err, "Failed to fetch standings");
   }
-};
+});
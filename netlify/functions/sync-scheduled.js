@@ -0,0 +1,98 @@
+// ============================================================
+// Scheduled sync — keeps Supabase current during game days
+// ============================================================
+// Runs every minute. For each tracked season it reads the
+// schedule and decides:
+//   games live / about to tip off → sync just those games, every
+//                                  SYNC_LIVE_MINUTES
+//   nothing on                    → full incremental sync (box
+//                                  score backfill, schedule
+//                                  changes) every SYNC_IDLE_MINUTES
+// Both go through lib/sync.js, same as /api/sync. The run returns
+// one summary per season (a failed season carries its error).
+//
+// Env vars:
+//   SYNC_SEASONS          season codes to track (default: the current
+//                         EuroLeague and EuroCup seasons)
+//   SYNC_LIVE_MINUTES     cadence while games are on (default 1)
+//   SYNC_IDLE_MINUTES     cadence otherwise (default 60)
+//   SYNC_PREGAME_MINUTES  start this long before tip-off (default 15)
+//   SYNC_GAME_MINUTES     stop this long after tip-off even if the
+//                         game never shows as final (default 150)
+//   SUPABASE_SERVICE_KEY  required (unless SYNC_STORAGE=file)
+//   WEBHOOKS / WEBHOOKS_FILE  subscribers notified of game events
+//                         (lib/webhooks.js)
+// ============================================================
+
+import { createStorage } from "./lib/storage.js";
+import { runSync, gamesInWindow } from "./lib/sync.js";
+import { fetchSeasonGames } from "./lib/upstream.js";
+import { competitionOf, currentSeasonCode } from "./lib/competitions.js";
+import { jsonResponse } from "./utils.js";
+
+// Scheduled functions get 30s; leave room for the state writes
+const SCHEDULED_BUDGET_MS = 25000;
+const SCHEDULE_TTL = 60;
+
+function envInt(name, fallback) {
+  const n = parseInt(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+export async function trackedSeasons() {
+  const raw = process.env.SYNC_SEASONS;
+  if (!raw) return Promise.all([currentSeasonCode("E"), currentSeasonCode("U")]);
+  return raw.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+// Cadence without stored state: run when the minute count since
+// the epoch is a multiple of the interval
+const due = (now, everyMinutes) => Math.floor(now / 60000) % everyMinutes === 0;
+
+async function syncSeason(seasonCode, { now, deadline, storage }) {
+  const code = competitionOf(seasonCode);
+  const liveEvery = envInt("SYNC_LIVE_MINUTES", 1);
+  const idleEvery = envInt("SYNC_IDLE_MINUTES", 60);
+
+  const games = await fetchSeasonGames(code, seasonCode, { ttl: SCHEDULE_TTL, fetch: { deadline } });
+  const state = await storage.getSyncState(seasonCode).catch(() => null);
+  const live = gamesInWindow(games, now, {
+    pregameMinutes: envInt("SYNC_PREGAME_MINUTES", 15),
+    gameMinutes: envInt("SYNC_GAME_MINUTES", 150),
+    finalBoxscores: state?.final_boxscores || {},
+  });
+
+  if (live.length > 0) {
+    if (!due(now, liveEvery)) return { seasonCode, mode: "live", skipped: true, games: live.map(g => g.gameCode) };
+    const result = await runSync({ code, seasonCode, storage, gamesFilter: live.map(g => g.gameCode), deadline });
+    return { seasonCode, mode: "live", ...result };
+  }
+
+  if (!due(now, idleEvery)) return { seasonCode, mode: "idle", skipped: true };
+  const result = await runSync({ code, seasonCode, storage, deadline });
+  return { seasonCode, mode: "idle", ...result };
+}
+
+export default async () => {
+  const now = Date.now();
+  const deadline = now + SCHEDULED_BUDGET_MS;
+  const storage = createStorage();
+
+  const seasons = await trackedSeasons();
+  const perSeason = SCHEDULED_BUDGET_MS / seasons.length;
+
+  // One season at a time, each with its share of the budget
+  const summaries = [];
+  for (const [i, seasonCode] of seasons.entries()) {
+    try {
+      summaries.push(await syncSeason(seasonCode, { now, deadline: Math.min(deadline, now + perSeason * (i + 1)), storage }));
+    } catch (err) {
+      summaries.push({ seasonCode, error: err.message });
+    }
+  }
+  return jsonResponse({ ranAt: new Date(now).toISOString(), seasons: summaries });
+};
+
+export const config = {
+  schedule: "* * * * *",
+};
@@ -0,0 +1,107 @@
+// ============================================================
+// /api/team — Team Overview
+// ============================================================
+// Usage:
+//   /api/team?code=E&seasonCode=E2025&teamCode=MAD
+//   /api/team?code=E&season=2025&teamCode=MAD&lastN=10
+//
+// Returns in one call:
+//   team      — club name, tv code, crest
+//   roster    — upstream club roster when available, merged with
+//               box-score appearances (games, starts, averages)
+//   schedule  — every game with opponent, home/road, score, W/L
+//   splits    — overall / home / road / last-N records
+//   averages  — per-game team + opponent box score, ratings,
+//               four factors (from played games' box scores)
+// ============================================================
+
+import {
+  jsonResponse, errorResponse,
+  upstreamErrorResponse, cacheOptions, getSeasonCode,
+} from "./utils.js";
+import { fetchSeasonGames, fetchClubPeople } from "./lib/upstream.js";
+import { cachedSeasonPlayerRows, resolveSource } from "./lib/season-stats.js";
+import { teamInfo, teamSchedule, recordSplits, teamAverages, rosterFromRows } from "./lib/team.js";
+import { cleanCode } from "./lib/pbp.js";
+import { cacheHeaders } from "./lib/http-cache.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/team");
+const BUDGET_MS = 8000;
+
+// Upstream roster merged with appearance stats; appearances alone if the roster feed fails
+async function buildRoster(code, seasonCode, teamCode, rows, options) {
+  const appearances = rosterFromRows(rows, teamCode);
+  let people;
+  try {
+    people = await fetchClubPeople(code, seasonCode, teamCode, options);
+  } catch {
+    people = [];
+  }
+
+  const players = people.filter(p => !p.type || p.type === "J");
+  if (players.length === 0) return { source: "boxscores", players: appearances };
+
+  const byCode = new Map(appearances.map(a => [a.personCode, a]));
+  const merged = players.map(p => {
+    const personCode = cleanCode(p.person?.code);
+    const seen = byCode.get(personCode);
+    byCode.delete(personCode);
+    return {
+      ...(seen || { games: 0, starts: 0, dnp: 0, minutes: null, points: null, rebounds: null, assists: null, pir: null }),
+      personCode,
+      name: p.person?.name || seen?.name || null,
+      dorsal: p.dorsal ?? seen?.dorsal ?? null,
+      position: p.positionName || seen?.position || null,
+      country: p.person?.country?.name || null,
+      active: p.active ?? null,
+    };
+  });
+  // Players with appearances the roster feed no longer lists (released, loaned out)
+  for (const a of byCode.values()) merged.push({ ...a, active: false });
+
+  return { source: "upstream", players: merged.sort((a, b) => (b.minutes ?? -1) - (a.minutes ?? -1)) };
+}
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  const deadline = Date.now() + BUDGET_MS;
+
+  try {
+    const { code, teamCode, lastN } = params;
+    const seasonCode = getSeasonCode(params);
+    const options = cacheOptions(params, context);
+
+    const games = await fetchSeasonGames(code, seasonCode, options);
+    const team = teamInfo(games, teamCode);
+    if (!team) return errorResponse(`Team ${teamCode} has no games in ${seasonCode}`, 404);
+
+    const schedule = teamSchedule(games, teamCode);
+    const loaded = await cachedSeasonPlayerRows(code, seasonCode, {
+      source: resolveSource(params.source), teamCode, deadline, options,
+    });
+    const roster = await buildRoster(code, seasonCode, teamCode, loaded.rows, options);
+
+    return jsonResponse({
+      seasonCode,
+      team,
+      roster,
+      schedule,
+      splits: recordSplits(schedule, lastN),
+      averages: teamAverages(loaded.rows, teamCode),
+      complete: loaded.complete,
+      pendingGames: loaded.pending?.length ? loaded.pending : undefined,
+      errors: loaded.errors?.length ? loaded.errors.slice(0, 5) : undefined,
+      _meta: {
+        source: "bball-api",
+        dataSource: loaded.source,
+        generatedAt: new Date().toISOString(),
+        params: { code, seasonCode, teamCode, lastN },
+      },
+    }, 200, {
+      "X-Cache": loaded.cacheStatus,
+      ...cacheHeaders({ ttl: ROUTE.cacheTtl, seasonCode, complete: loaded.complete }),
+    });
+  } catch (err) {
+    return upstreamErrorResponse(err, "Failed to build team overview");
+  }
+});
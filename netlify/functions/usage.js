@@ -0,0 +1,40 @@
+// /api/usage — Per-key usage counters (admin scope)
+// Usage: /api/usage                 ← every key, last 7 days
+//        /api/usage?days=30
+//        /api/usage?id=scouting-sheet
+import { jsonResponse, errorResponse } from "./utils.js";
+import { authEnabled, loadKeys, usageFor } from "./lib/auth.js";
+import { getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/usage");
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  if (!authEnabled()) return errorResponse("API keys are not configured (set API_KEYS or API_KEYS_FILE)", 404);
+
+  const { days } = params;
+  const keys = params.id ? loadKeys().filter(k => k.id === params.id) : loadKeys();
+  if (params.id && keys.length === 0) return errorResponse(`Unknown key id: ${params.id}`, 404);
+
+  const sum = (rows, counter) => rows.reduce((s, r) => s + r[counter], 0);
+  const report = [];
+  for (const k of keys) {
+    const daily = await usageFor(k.id, days);
+    report.push({
+      id: k.id,
+      scopes: k.scopes,
+      rateLimit: { requests: k.rateLimit, windowSeconds: k.windowSeconds },
+      origins: k.origins,
+      totals: { requests: sum(daily, "requests"), errors: sum(daily, "errors"), rejected: sum(daily, "rejected") },
+      daily,
+    });
+  }
+
+  const anonymous = params.id ? null : await usageFor("anonymous", days);
+
+  return jsonResponse({
+    days,
+    keys: report,
+    anonymous: anonymous && { totals: { requests: sum(anonymous, "requests"), errors: sum(anonymous, "errors"), rejected: sum(anonymous, "rejected") }, daily: anonymous },
+    timestamp: new Date().toISOString(),
+  });
+});
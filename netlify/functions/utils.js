@@ -3,22 +3,27 @@
 // Used by all Netlify Functions for consistent behavior
 // ============================================================
 
+import { memoryBackend, createBackend } from "./lib/cache-backends.js";
+import { etagFor, currentSeasonYear } from "./lib/http-cache.js";
+
 // EuroLeague API base — v2, not v3
 export const EURO_API = "https://api-live.euroleague.net/v2";
 
 // CORS headers — allows any of your tools to call this API
 export const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, X-API-Key, If-None-Match, Last-Event-ID",
   "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag, X-Cache",
 };
 
-// JSON response helper
+// JSON response helper — successful bodies get an ETag (see lib/http-cache.js)
 export function jsonResponse(data, status = 200, extra = {}) {
   return new Response(JSON.stringify(data, null, 2), {
     status,
     headers: {
       "Content-Type": "application/json",
+      ...(status === 200 ? { "ETag": etagFor(data) } : {}),
       ...corsHeaders,
       ...extra,
     },
@@ -44,75 +49,391 @@ export function handleCors(req) {
 // NextGen:  "JA25" (Abu Dhabi), "JU25", "JBO25" (Bologna), "JB25" (Belgrade)
 //
 // If seasonCode param is passed directly, it takes priority.
-// Otherwise, builds from code + season.
+// Otherwise, builds from code + season; season "current" (or none)
+// is the calendar's season. withRoute has already resolved and
+// checked both against the upstream registry (lib/competitions.js),
+// so handlers normally just get params.seasonCode back.
 // ============================================================
-export function buildSeasonCode(code = "E", season = "2025", seasonCodeOverride = null) {
+export function buildSeasonCode(code = "E", season = "current", seasonCodeOverride = null) {
   if (seasonCodeOverride) return seasonCodeOverride;
-  return `${code.toUpperCase()}${season}`;
+  return `${code.toUpperCase()}${!season || season === "current" ? currentSeasonYear() : season}`;
 }
 
 // Helper: extract season code from request params
 // Checks for direct seasonCode override first, then builds from code+season
 export function getSeasonCode(params) {
-  const { code = "E", season = "2025", seasonCode } = params;
+  const { code = "E", season = "current", seasonCode } = params;
   return buildSeasonCode(code, season, seasonCode || null);
 }
 
 // ============================================================
-// SIMPLE IN-MEMORY CACHE
-// Persists across warm function invocations (same container).
-// Resets on cold start — that's fine for our purposes.
+// SHARED CACHE — stale-while-revalidate
+// Two layers: a per-container Map (L1) in front of the shared
+// backend picked by CACHE_BACKEND (see lib/cache-backends.js).
+// With the default "memory" backend there is only the Map.
+//
+// Entry lifecycle for a given ttl:
+//   0 … ttl              fresh  → served as HIT
+//   ttl … ttl + staleTtl stale  → served as STALE, refreshed in background
+//   after that           old    → fetched inline (MISS), but if upstream
+//                                 is down the old copy is served as FALLBACK
+// Entries are kept for at least CACHE_FALLBACK_SECONDS for that purpose.
 // ============================================================
-const _cache = new Map();
+const DEFAULT_STALE_FACTOR = 5; // stale window = ttl * 5 unless overridden
+const FALLBACK_RETENTION = parseInt(process.env.CACHE_FALLBACK_SECONDS) || 86400;
 
-export const cache = {
-  get(key) {
-    const entry = _cache.get(key);
-    if (!entry) return null;
-    if (Date.now() > entry.expires) {
-      _cache.delete(key);
-      return null;
+const _local = memoryBackend();
+let _shared = null;
+function sharedBackend() {
+  if (_shared === null) {
+    _shared = (process.env.CACHE_BACKEND || "memory") === "memory" ? false : createBackend();
+  }
+  return _shared || null;
+}
+
+// In-flight fetches by key — concurrent requests for the same
+// key share one upstream call instead of stampeding.
+const _pending = new Map();
+
+async function readEntry(key) {
+  const local = await _local.get(key);
+  if (local) return local;
+  const shared = sharedBackend();
+  if (!shared) return null;
+  try {
+    const entry = await shared.get(key);
+    if (entry) await _local.set(key, entry, Math.max(1, (entry.staleUntil - Date.now()) / 1000 + FALLBACK_RETENTION));
+    return entry;
+  } catch {
+    return null; // shared backend down — behave like a miss
+  }
+}
+
+async function writeEntry(key, data, ttlSeconds, staleSeconds) {
+  const now = Date.now();
+  const entry = {
+    data,
+    storedAt: now,
+    expires: now + ttlSeconds * 1000,
+    staleUntil: now + (ttlSeconds + staleSeconds) * 1000,
+  };
+  const retention = Math.max(ttlSeconds + staleSeconds, FALLBACK_RETENTION);
+  await _local.set(key, entry, retention);
+  const shared = sharedBackend();
+  if (shared) {
+    try {
+      await shared.set(key, entry, retention);
+    } catch {
+      // shared write failed — L1 still has it, next request retries
     }
+  }
+  return entry;
+}
+
+function fetchAndStore(key, ttlSeconds, staleSeconds, fetcher) {
+  if (_pending.has(key)) return _pending.get(key);
+  const promise = (async () => {
+    try {
+      const data = await fetcher();
+      await writeEntry(key, data, ttlSeconds, staleSeconds);
+      return data;
+    } finally {
+      _pending.delete(key);
+    }
+  })();
+  _pending.set(key, promise);
+  return promise;
+}
+
+// Fetch inline; on an upstream outage return FELL_BACK if an old entry exists
+const FELL_BACK = Symbol("fell-back");
+async function fetchWithFallback(key, ttlSeconds, staleSeconds, fetcher, entry) {
+  try {
+    return await fetchAndStore(key, ttlSeconds, staleSeconds, fetcher);
+  } catch (err) {
+    if (entry && isOutage(err)) return FELL_BACK;
+    throw err;
+  }
+}
+
+export const cache = {
+  // Fresh data only (null when missing or stale)
+  async get(key) {
+    const entry = await readEntry(key);
+    if (!entry || Date.now() > entry.expires) return null;
     return entry.data;
   },
 
-  set(key, data, ttlSeconds = 60) {
-    _cache.set(key, {
-      data,
-      expires: Date.now() + ttlSeconds * 1000,
-      storedAt: new Date().toISOString(),
-    });
+  async set(key, data, ttlSeconds = 60, staleSeconds = ttlSeconds * DEFAULT_STALE_FACTOR) {
+    await writeEntry(key, data, ttlSeconds, staleSeconds);
+  },
+
+  async has(key) {
+    return (await this.get(key)) !== null;
   },
 
-  has(key) {
-    return this.get(key) !== null;
+  async delete(key) {
+    await _local.delete(key);
+    const shared = sharedBackend();
+    if (shared) await shared.delete(key).catch(() => {});
   },
 
-  stats() {
+  // Read-through with stale-while-revalidate.
+  // Returns { data, status } where status is HIT | STALE | MISS | REFRESH,
+  // or FALLBACK when upstream is down and an older copy was served.
+  //   refresh   — skip the cache and fetch now (callers' ?refresh=true)
+  //   staleTtl  — seconds a stale entry may still be served
+  //   waitUntil — Netlify context.waitUntil, keeps the background
+  //               refresh alive after the response is sent
+  async wrap(key, ttlSeconds, fetcher, { refresh = false, staleTtl, waitUntil } = {}) {
+    const staleSeconds = staleTtl ?? ttlSeconds * DEFAULT_STALE_FACTOR;
+
+    const entry = await readEntry(key);
+
+    if (refresh) {
+      const data = await fetchWithFallback(key, ttlSeconds, staleSeconds, fetcher, entry);
+      return data === FELL_BACK ? { data: entry.data, status: "FALLBACK" } : { data, status: "REFRESH" };
+    }
+
+    const now = Date.now();
+    if (entry && now <= entry.expires) return { data: entry.data, status: "HIT" };
+
+    if (entry && now <= entry.staleUntil) {
+      const background = fetchAndStore(key, ttlSeconds, staleSeconds, fetcher).catch(() => {});
+      if (typeof waitUntil === "function") waitUntil(background);
+      return { data: entry.data, status: "STALE" };
+    }
+
+    const data = await fetchWithFallback(key, ttlSeconds, staleSeconds, fetcher, entry);
+    return data === FELL_BACK ? { data: entry.data, status: "FALLBACK" } : { data, status: "MISS" };
+  },
+
+  // Counter shared by every container when a shared backend is
+  // configured (falls back to this container's count if it's down).
+  // The window starts with the first increment.
+  async incr(key, by = 1, windowSeconds = 60) {
+    const shared = sharedBackend();
+    if (shared) {
+      try {
+        return await shared.incr(key, by, windowSeconds);
+      } catch {
+        // shared backend down — count locally
+      }
+    }
+    return _local.incr(key, by, windowSeconds);
+  },
+
+  // Current value of an incr() counter (0 when missing or expired)
+  async count(key) {
+    const shared = sharedBackend();
+    if (shared) {
+      try {
+        return Number(await shared.get(key)) || 0;
+      } catch {
+        // shared backend down — fall through to the local count
+      }
+    }
+    return Number(await _local.get(key)) || 0;
+  },
+
+  async stats() {
+    const local = await _local.stats();
+    const shared = sharedBackend();
+    let sharedStats = null;
+    if (shared) {
+      try {
+        sharedStats = await shared.stats();
+      } catch (err) {
+        sharedStats = { backend: shared.name, error: err.message };
+      }
+    }
     return {
-      entries: _cache.size,
-      keys: [..._cache.keys()],
+      backend: shared ? shared.name : "memory",
+      entries: local.entries,
+      keys: local.keys,
+      shared: sharedStats,
     };
   },
 };
 
+// Cache options for cache.wrap() from request params + Netlify context
+// (refresh is a boolean once validated by withRoute, a string from getParams)
+export function cacheOptions(params, context) {
+  return {
+    refresh: params.refresh === true || params.refresh === "true" || params.refresh === "1",
+    waitUntil: context?.waitUntil?.bind(context),
+  };
+}
+
+// ============================================================
+// UPSTREAM ERRORS
+// Thrown by euroFetch so handlers can tell a bad identifier
+// (upstream 404/400) apart from a real outage (5xx, timeout).
+// ============================================================
+export class UpstreamError extends Error {
+  constructor(message, { status = null, path = null } = {}) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status; // upstream HTTP status, null for network errors
+    this.path = path;
+  }
+}
+
+export class UpstreamTimeoutError extends UpstreamError {
+  constructor(path, timeoutMs) {
+    super(`EuroLeague API timed out after ${timeoutMs}ms for ${path}`, { path });
+    this.name = "UpstreamTimeoutError";
+  }
+}
+
+export class CircuitOpenError extends UpstreamError {
+  constructor(retryAfterSeconds) {
+    super(`EuroLeague API unavailable — circuit open, retry in ${retryAfterSeconds}s`);
+    this.name = "CircuitOpenError";
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+// True for failures that mean "upstream is down", not "you asked for something that doesn't exist"
+export function isOutage(err) {
+  if (!(err instanceof UpstreamError)) return false;
+  return err.status === null || err.status >= 500 || err.status === 429;
+}
+
+// Map an error to the HTTP status we return to our own callers
+export function statusForError(err) {
+  if (err instanceof CircuitOpenError) return 503;
+  if (err instanceof UpstreamTimeoutError) return 504;
+  if (err instanceof UpstreamError) {
+    if (err.status === 404) return 404;
+    if (err.status === 400 || err.status === 422) return 400;
+    return 502;
+  }
+  return 500;
+}
+
+// Error response for a failed upstream call, with the right status
+export function upstreamErrorResponse(err, prefix) {
+  const status = statusForError(err);
+  const res = errorResponse(`${prefix}: ${err.message}`, status);
+  if (err instanceof CircuitOpenError) res.headers.set("Retry-After", String(err.retryAfter));
+  return res;
+}
+
+// ============================================================
+// CIRCUIT BREAKER
+// Per container. After FAILURE_THRESHOLD consecutive outage-type
+// failures the circuit opens and euroFetch fails fast for
+// COOLDOWN_MS; then a single trial request is let through
+// (half-open) and its result closes or re-opens the circuit.
+// ============================================================
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.EURO_BREAKER_THRESHOLD) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.EURO_BREAKER_COOLDOWN_MS) || 30000;
+
+const breaker = { failures: 0, openUntil: 0, trialInFlight: false };
+
+function breakerCheck() {
+  if (breaker.openUntil === 0) return;
+  const now = Date.now();
+  if (now < breaker.openUntil || breaker.trialInFlight) {
+    throw new CircuitOpenError(Math.max(1, Math.ceil((breaker.openUntil - now) / 1000)));
+  }
+  breaker.trialInFlight = true; // half-open: this request is the trial
+}
+
+function breakerSuccess() {
+  breaker.failures = 0;
+  breaker.openUntil = 0;
+  breaker.trialInFlight = false;
+}
+
+function breakerFailure() {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+  if (breaker.failures >= BREAKER_FAILURE_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+  }
+}
+
+export function breakerStats() {
+  const open = breaker.openUntil > Date.now();
+  return {
+    state: open ? "open" : breaker.openUntil ? "half-open" : "closed",
+    consecutiveFailures: breaker.failures,
+    openUntil: open ? new Date(breaker.openUntil).toISOString() : null,
+  };
+}
+
 // ============================================================
 // EUROLEAGUE FETCH WRAPPER
-// Handles fetching from EuroLeague API with error handling
+// Timeout per attempt, exponential backoff with jitter on 5xx /
+// 429 / network errors, circuit breaker, typed errors.
+//
+// Options:
+//   timeout  — ms per attempt (default EURO_FETCH_TIMEOUT_MS or 8000)
+//   retries  — extra attempts after the first (default 2)
+//   backoff  — base delay in ms, doubled each retry (default 250)
+//   deadline — absolute Date.now() ms; no attempt or wait runs past it
 // ============================================================
-export async function euroFetch(path) {
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.EURO_FETCH_TIMEOUT_MS) || 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function attemptFetch(path, timeoutMs) {
   const url = `${EURO_API}${path}`;
-  const res = await fetch(url, {
-    headers: {
-      Accept: "application/json",
-    },
-  });
+  let res;
+  try {
+    res = await fetch(url, {
+      headers: {
+        Accept: "application/json",
+      },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    if (err.name === "TimeoutError" || err.name === "AbortError") throw new UpstreamTimeoutError(path, timeoutMs);
+    throw new UpstreamError(`EuroLeague API unreachable for ${path}: ${err.message}`, { path });
+  }
 
   if (!res.ok) {
-    throw new Error(`EuroLeague API returned ${res.status} for ${path}`);
+    throw new UpstreamError(`EuroLeague API returned ${res.status} for ${path}`, { status: res.status, path });
   }
 
-  return res.json();
+  try {
+    return await res.json();
+  } catch {
+    throw new UpstreamError(`EuroLeague API returned invalid JSON for ${path}`, { status: res.status, path });
+  }
+}
+
+export async function euroFetch(path, { timeout = DEFAULT_TIMEOUT_MS, retries = 2, backoff = 250, deadline = null } = {}) {
+  breakerCheck();
+
+  for (let attempt = 0; ; attempt++) {
+    const remaining = deadline ? deadline - Date.now() : Infinity;
+    if (remaining <= 0) {
+      breaker.trialInFlight = false;
+      throw new UpstreamTimeoutError(path, 0);
+    }
+
+    try {
+      const data = await attemptFetch(path, Math.min(timeout, remaining));
+      breakerSuccess();
+      return data;
+    } catch (err) {
+      if (!isOutage(err)) {
+        // 4xx: upstream answered, it just didn't like the request
+        breakerSuccess();
+        throw err;
+      }
+      const delay = backoff * 2 ** attempt * (0.5 + Math.random());
+      const outOfTime = deadline && Date.now() + delay >= deadline;
+      if (attempt >= retries || outOfTime) {
+        breakerFailure();
+        throw err;
+      }
+      await sleep(delay);
+    }
+  }
 }
 
 // Parse query params from request
@@ -0,0 +1,58 @@
+// /api/webhooks — Webhook subscriptions (admin scope)
+// Usage: /api/webhooks                                      ← subscriptions + recent deliveries
+//        /api/webhooks?test=discord-bot                     ← signed "ping"
+//        /api/webhooks?test=discord-bot&event=game.final&code=E&gameNumber=12
+// Subscriptions, events and signatures: see lib/webhooks.js
+import { jsonResponse, errorResponse, upstreamErrorResponse, getSeasonCode } from "./utils.js";
+import { loadSubscriptions, webhooksEnabled, deliveryLog, sendTest, EVENT_TYPES } from "./lib/webhooks.js";
+import { fetchGame } from "./lib/upstream.js";
+import { transformGame } from "./lib/transform.js";
+import { paramErrorResponse, getRoute, withRoute } from "./lib/routes.js";
+
+const ROUTE = getRoute("/api/webhooks");
+const TEST_BUDGET_MS = 8000;
+
+// Subscriber URLs often embed a token (Discord) — list the origin only
+const originOf = (url) => new URL(url).origin;
+
+export default withRoute(ROUTE, async (req, context, params) => {
+  if (!webhooksEnabled()) return errorResponse("No webhooks configured (set WEBHOOKS or WEBHOOKS_FILE)", 404);
+
+  if (params.test) {
+    const sub = loadSubscriptions().find(s => s.id === params.test);
+    if (!sub) return errorResponse(`Unknown webhook id: ${params.test}`, 404);
+    const { code, event, gameNumber } = params;
+    if (event !== "ping" && !gameNumber) {
+      return paramErrorResponse([{ param: "gameNumber", message: `event=${event} needs gameNumber`, value: null }]);
+    }
+
+    try {
+      const seasonCode = getSeasonCode(params);
+      const row = event === "ping" ? null : transformGame({ gameCode: gameNumber, ...await fetchGame(code, seasonCode, gameNumber) }, seasonCode, code);
+      const { payload, result } = await sendTest(sub, event, row, { deadline: Date.now() + TEST_BUDGET_MS });
+      return jsonResponse({
+        webhook: sub.id,
+        url: originOf(sub.url),
+        ...result,
+        payload,
+        timestamp: new Date().toISOString(),
+      }, result.ok ? 200 : 502);
+    } catch (err) {
+      return upstreamErrorResponse(err, "Failed to build test event");
+    }
+  }
+
+  const webhooks = [];
+  for (const sub of loadSubscriptions()) {
+    webhooks.push({
+      id: sub.id,
+      url: originOf(sub.url),
+      events: sub.events,
+      competitions: sub.competitions,
+      seasonCodes: sub.seasonCodes,
+      teams: sub.teams,
+      recent: await deliveryLog(sub.id),
+    });
+  }
+  return jsonResponse({ eventTypes: EVENT_TYPES, webhooks, timestamp: new Date().toISOString() });
+});
@@ -0,0 +1,60 @@
+// ============================================================
+// Local webhook receiver — for testing deliveries end to end
+// ============================================================
+// Usage:
+//   WEBHOOK_SECRET=local-test-secret node scripts/webhook-receiver.js
+//   curl "http://localhost:8888/api/webhooks?test=local-receiver"
+//
+// Verifies X-Webhook-Signature the way a real subscriber should
+// (HMAC-SHA256 of "<timestamp>.<raw body>", constant-time compare,
+// timestamp no older than 5 minutes) and prints each event.
+//
+// Env vars:
+//   PORT                port to listen on (default 4000)
+//   WEBHOOK_SECRET      the subscription's secret (default local-test-secret)
+//   WEBHOOK_FAIL_FIRST  answer the first N deliveries with 503, to
+//                       watch the retries (default 0)
+// ============================================================
+
+import { createServer } from "node:http";
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+const PORT = parseInt(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET || "local-test-secret";
+const TOLERANCE_SECONDS = 300;
+let failFirst = parseInt(process.env.WEBHOOK_FAIL_FIRST) || 0;
+
+function verify(headers, body) {
+  const timestamp = headers["x-webhook-timestamp"];
+  const signature = headers["x-webhook-signature"] || "";
+  if (!timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE_SECONDS) return "stale or missing timestamp";
+  const expected = `sha256=${createHmac("sha256", SECRET).update(`${timestamp}.${body}`).digest("hex")}`;
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b) ? null : "bad signature";
+}
+
+createServer((req, res) => {
+  let body = "";
+  req.on("data", chunk => (body += chunk));
+  req.on("end", () => {
+    const id = req.headers["x-webhook-id"];
+    if (failFirst > 0) {
+      failFirst--;
+      console.log(`✗ ${id} → 503 (simulated failure, ${failFirst} left)`);
+      res.writeHead(503).end();
+      return;
+    }
+    const problem = verify(req.headers, body);
+    if (problem) {
+      console.log(`✗ ${id} → 401 (${problem})`);
+      res.writeHead(401).end(problem);
+      return;
+    }
+    const event = JSON.parse(body);
+    const game = event.game ? ` ${event.game.local_code} ${event.game.local_score}-${event.game.road_score} ${event.game.road_code}` : "";
+    console.log(`✓ ${event.type} ${id}${game}${event.period ? ` (period ${event.period})` : ""}`);
+    if (event.changes) console.log(`  changes: ${Object.keys(event.changes).join(", ")}`);
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => console.log(`Webhook receiver on http://localhost:${PORT}/webhook`));